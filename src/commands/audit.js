@@ -0,0 +1,67 @@
+import chalk from 'chalk';
+import { getAuditDir, parseTime, readAuditEntries } from '../utils/audit.js';
+
+/**
+ * Show the tool-call audit log
+ * @param {Object} options - Command options
+ * @param {string} [options.server] - Only calls to this server
+ * @param {string} [options.tool] - Only calls to this tool
+ * @param {string} [options.session] - Only calls from this session
+ * @param {string} [options.since] - Only calls since a duration ago (30m, 12h, 7d) or a date
+ * @param {string} [options.until] - Only calls until a duration ago or a date
+ * @param {boolean} [options.errors] - Only failed calls
+ * @param {string} [options.limit] - Number of most recent entries to show
+ * @param {boolean} [options.json] - Print raw JSON lines
+ */
+export function audit(options = {}) {
+  const since = parseTime(options.since);
+  const until = parseTime(options.until);
+
+  if (options.since && !since) {
+    console.info(chalk.red(`Invalid --since value: ${options.since}`));
+    return;
+  }
+  if (options.until && !until) {
+    console.info(chalk.red(`Invalid --until value: ${options.until}`));
+    return;
+  }
+
+  const limit = parseInt(options.limit ?? '50', 10);
+  const entries = readAuditEntries({
+    since,
+    until,
+    server: options.server,
+    tool: options.tool,
+    session: options.session,
+    errors: options.errors,
+    limit: Number.isInteger(limit) && limit > 0 ? limit : 50
+  });
+
+  if (options.json) {
+    entries.forEach(entry => console.info(JSON.stringify(entry)));
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.info(chalk.yellow('No audit entries found'));
+    console.info(chalk.gray(`Audit directory: ${getAuditDir()}`));
+    return;
+  }
+
+  console.info(chalk.bold('\nTool Call Audit Log:'));
+  console.info(chalk.gray('─'.repeat(50)));
+
+  for (const entry of entries) {
+    const status = entry.isError ? chalk.red('error') : chalk.green('ok');
+    console.info(
+      `${chalk.gray(entry.timestamp)}  ${chalk.cyan(`${entry.server}/${entry.tool}`)}  ` +
+      `${status}  ${entry.durationMs}ms  ${entry.resultBytes} bytes`
+    );
+    console.info(chalk.gray(`    session: ${entry.session}  args: ${JSON.stringify(entry.arguments)}`));
+    if (entry.error) {
+      console.info(chalk.red(`    ${entry.error}`));
+    }
+  }
+
+  console.info('');
+}
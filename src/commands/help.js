@@ -14,6 +14,8 @@ export function help() {
   console.info('  remove <name>        Remove an MCP configuration');
   console.info('  list                 List all MCP configurations');
   console.info('  run <name>           Use a specific MCP configuration');
+  console.info('  audit                Show the tool call audit log');
+  console.info('  tool create <name>   Add a tool that runs a local command');
   console.info('  help                 Display this help information');
   
   console.info('\nOptions for add command:');
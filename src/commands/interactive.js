@@ -230,7 +230,8 @@ function RunningInstances({ instances }) {
     h(Box, { key: idx },
       h(Text, { color: 'green' }, instance.serverName),
       instance.pid && h(Text, { color: 'gray' }, ' (PID: ' + instance.pid + ')'),
-      instance.resourceUsage?.memory && h(Text, { color: 'magenta' }, ' Mem: ' + instance.resourceUsage.memory)
+      instance.resourceUsage?.memory && h(Text, { color: 'magenta' }, ' Mem: ' + instance.resourceUsage.memory),
+      instance.queueDepth > 0 && h(Text, { color: 'yellow' }, ' Queued: ' + instance.queueDepth)
     )
   )
   );
@@ -470,7 +471,8 @@ function InteractiveApp() {
           running.forEach(i => {
             addOutput({
               type: 'output',
-              content: '  ' + i.serverName + ' - PID: ' + (i.pid || 'N/A') + ' - ' + i.status
+              content: '  ' + i.serverName + ' - PID: ' + (i.pid || 'N/A') + ' - ' + i.status +
+                (i.queueDepth > 0 ? ' - queued: ' + i.queueDepth : '')
             });
           });
         }
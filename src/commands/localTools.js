@@ -0,0 +1,149 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import {
+  buildInputSchema,
+  getToolsDir,
+  listLocalTools,
+  removeLocalTool,
+  saveLocalTool
+} from '../utils/localTools.js';
+
+/**
+ * Parse comma-separated key=value pairs into an object
+ * @param {string} str - The string to parse
+ * @returns {Object} The parsed object
+ */
+function parseKeyValuePairs(str) {
+  const result = {};
+
+  for (const pair of (str || '').split(',')) {
+    const [key, ...value] = pair.split('=');
+    if (key.trim() && value.length > 0) {
+      result[key.trim()] = value.join('=').trim();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Create a local command tool
+ * @param {string} name - Tool name
+ * @param {Object} options - Command options
+ * @param {string} [options.file] - Read the definition from a JSON file
+ * @param {string} [options.command] - Command to run
+ * @param {string} [options.args] - Argument templates (comma-separated)
+ * @param {string} [options.description] - Tool description
+ * @param {string[]} [options.param] - Parameters as name[:type[:description]]
+ * @param {string} [options.cwd] - Working directory
+ * @param {string} [options.env] - Environment variables (key=value,key2=value2)
+ * @param {string} [options.timeout] - Timeout in milliseconds
+ * @param {boolean} [options.allowDashValues] - Let call arguments start with "-"
+ * @param {boolean} [options.force] - Replace an existing tool
+ */
+export function create(name, options = {}) {
+  let tool;
+
+  if (options.file) {
+    try {
+      tool = { ...JSON.parse(fs.readFileSync(options.file, 'utf8')), name };
+    } catch (error) {
+      console.info(chalk.red(`Could not read ${options.file}: ${error.message}`));
+      return;
+    }
+  } else {
+    if (!options.command) {
+      console.info(chalk.red('A command is required'));
+      console.info(chalk.gray('\nUsage:'));
+      console.info(chalk.gray('  mcpz tool create git_log --command git --args "log,-n,{{count}},--oneline" --param "count:number:Number of commits"'));
+      console.info(chalk.gray('  mcpz tool create deploy --file deploy-tool.json'));
+      return;
+    }
+
+    const args = options.args ? options.args.split(',').map(arg => arg.trim()) : [];
+    tool = {
+      name,
+      description: options.description || `Run ${options.command}`,
+      inputSchema: buildInputSchema(options.param, args),
+      command: options.command,
+      args
+    };
+    if (options.cwd) {
+      tool.cwd = options.cwd;
+    }
+    if (options.env) {
+      tool.env = parseKeyValuePairs(options.env);
+    }
+    if (options.timeout) {
+      tool.timeoutMs = Number(options.timeout);
+    }
+    if (options.allowDashValues) {
+      tool.allowDashValues = true;
+    }
+  }
+
+  const result = saveLocalTool(tool, { force: options.force });
+
+  if (result.success) {
+    console.info(chalk.green(result.message));
+    console.info(chalk.gray(`  Path: ${result.path}`));
+    console.info(chalk.gray(`  Listed as mcpz_${tool.name} (with the default separator) the next time mcpz starts`));
+  } else {
+    console.info(chalk.red(result.message));
+    if (!options.force && result.message.startsWith('Tool already exists')) {
+      console.info(chalk.gray('Use --force to replace it'));
+    }
+  }
+}
+
+/**
+ * List local command tools
+ */
+export function list() {
+  const tools = listLocalTools();
+
+  if (tools.length === 0) {
+    console.info(chalk.yellow('No local tools defined'));
+    console.info(chalk.gray(`Tools directory: ${getToolsDir()}`));
+    console.info(chalk.gray('Add one with: mcpz tool create <name> --command <command>'));
+    return;
+  }
+
+  console.info(chalk.bold('\nLocal Tools:'));
+  console.info(chalk.gray('─'.repeat(50)));
+
+  tools.forEach(({ tool, path, errors }) => {
+    console.info(chalk.cyan(`\n  ${tool.name}`));
+    if (tool.description) {
+      console.info(chalk.gray(`    ${tool.description}`));
+    }
+    if (tool.command) {
+      console.info(chalk.gray(`    Command: ${[tool.command, ...(tool.args || [])].join(' ')}`));
+    }
+    console.info(chalk.gray(`    Path: ${path}`));
+    if (errors.length > 0) {
+      console.info(chalk.red(`    Invalid, not loaded: ${errors.join('; ')}`));
+    }
+  });
+
+  console.info('');
+}
+
+/**
+ * Remove a local command tool
+ * @param {string} name - Tool name
+ */
+export function remove(name) {
+  if (!name) {
+    console.info(chalk.red('Tool name is required'));
+    return;
+  }
+
+  const result = removeLocalTool(name);
+
+  if (result.success) {
+    console.info(chalk.green(result.message));
+  } else {
+    console.info(chalk.red(result.message));
+  }
+}
@@ -98,21 +98,33 @@ program
   .version(version)
   .option('--debug', 'Enable debug mode');
 
+/**
+ * Add the server, tool, toolbox and skill filter options shared by `run` and `serve`
+ * @param {Command} command - The command to add options to
+ * @returns {Command} The command, for chaining
+ */
+function addFilterOptions(command) {
+  return command
+    .option('-s, --server <n>', 'Filter to load only a specific server')
+    .option('-S, --servers <names>', 'Filter to load only specific servers (comma-separated)')
+    .option('-t, --tool <n>', 'Filter to load only a specific tool')
+    .option('-T, --tools <names>', 'Filter to load only specific tools (comma-separated)')
+    .option('-b, --toolbox <n>', 'Filter to load only servers in a specific toolbox')
+    .option('-B, --toolboxes <names>', 'Filter to load only servers in specific toolboxes (comma-separated)')
+    .option('-k, --skill <n>', 'Filter to load only a specific skill')
+    .option('-K, --skills <names>', 'Filter to load only specific skills (comma-separated)')
+    .option('--discovery', 'Expose only mcpz_search_tools and mcpz_call_tool instead of every tool')
+    // Hidden aliases for backwards compatibility
+    .option('-g, --group <n>', 'deprecated: use --toolbox')
+    .option('-G, --groups <names>', 'deprecated: use --toolboxes');
+}
+
 // Register commands
-program
-  .command('run')
-  .description('Start mcpz as a stdio server')
-  .option('-s, --server <n>', 'Filter to load only a specific server')
-  .option('-S, --servers <names>', 'Filter to load only specific servers (comma-separated)')
-  .option('-t, --tool <n>', 'Filter to load only a specific tool')
-  .option('-T, --tools <names>', 'Filter to load only specific tools (comma-separated)')
-  .option('-b, --toolbox <n>', 'Filter to load only servers in a specific toolbox')
-  .option('-B, --toolboxes <names>', 'Filter to load only servers in specific toolboxes (comma-separated)')
-  .option('-k, --skill <n>', 'Filter to load only a specific skill')
-  .option('-K, --skills <names>', 'Filter to load only specific skills (comma-separated)')
-  // Hidden aliases for backwards compatibility
-  .option('-g, --group <n>', 'deprecated: use --toolbox')
-  .option('-G, --groups <names>', 'deprecated: use --toolboxes')
+addFilterOptions(
+  program
+    .command('run')
+    .description('Start mcpz as a stdio server')
+)
   .action((options) => {
     // Import server dynamically to avoid loading it unnecessarily
     import('./server.js').then(({ default: server }) => {
@@ -122,6 +134,21 @@ program
     });
   });
 
+addFilterOptions(
+  program
+    .command('serve')
+    .description('Serve mcpz over Streamable HTTP so several clients can share it')
+    .option('-p, --port <n>', 'Port to listen on', '3000')
+    .option('-H, --host <host>', 'Host to bind to', '127.0.0.1')
+)
+  .action((options) => {
+    import('./server.js').then(({ default: server }) => {
+      server.serve(options);
+    }).catch(error => {
+      console.info(chalk.red(`Error starting HTTP server: ${error.message}`));
+    });
+  });
+
 // Toolbox management commands (primary)
 program
   .command('toolbox')
@@ -269,6 +296,56 @@ program
       })
   );
 
+// Local command tools
+program
+  .command('tool')
+  .description('Manage local command tools')
+  .addCommand(
+    new Command('create')
+      .description('Create a tool that runs a local command')
+      .argument('<n>', 'Name of the tool')
+      .option('-c, --command <command>', 'Command to run')
+      .option('-a, --args <args>', 'Arguments for the command (comma-separated, {{param}} for call arguments)')
+      .option('-d, --description <description>', 'Description shown to clients')
+      .option('-p, --param <spec>', 'Parameter as name[:type[:description]], name? for optional (repeatable)', (spec, specs) => [...specs, spec], [])
+      .option('--cwd <dir>', 'Working directory for the command')
+      .option('-e, --env <env>', 'Environment variables (key=value,key2=value2)')
+      .option('-t, --timeout <ms>', 'Timeout in milliseconds')
+      .option('--allow-dash-values', 'Let call arguments start with "-", which the command may read as options')
+      .option('-f, --file <path>', 'Read the tool definition from a JSON file')
+      .option('--force', 'Replace an existing tool with the same name')
+      .action((name, options) => {
+        import('./commands/localTools.js').then(({ create }) => {
+          create(name, options);
+        }).catch(error => {
+          console.info(chalk.red(`Error: ${error.message}`));
+        });
+      })
+  )
+  .addCommand(
+    new Command('list')
+      .description('List local command tools')
+      .action(() => {
+        import('./commands/localTools.js').then(({ list }) => {
+          list();
+        }).catch(error => {
+          console.info(chalk.red(`Error: ${error.message}`));
+        });
+      })
+  )
+  .addCommand(
+    new Command('remove')
+      .description('Remove a local command tool')
+      .argument('<n>', 'Name of the tool to remove')
+      .action((name) => {
+        import('./commands/localTools.js').then(({ remove }) => {
+          remove(name);
+        }).catch(error => {
+          console.info(chalk.red(`Error: ${error.message}`));
+        });
+      })
+  );
+
 // Plugin management commands
 program
   .command('plugin')
@@ -373,6 +450,25 @@ program
       })
   );
 
+program
+  .command('audit')
+  .description('Show the tool call audit log')
+  .option('-s, --server <server>', 'Only show calls to this server')
+  .option('-t, --tool <tool>', 'Only show calls to this tool')
+  .option('--session <id>', 'Only show calls from this session')
+  .option('--since <time>', 'Only show calls since a duration ago (30m, 12h, 7d) or a date')
+  .option('--until <time>', 'Only show calls until a duration ago or a date')
+  .option('-e, --errors', 'Only show failed calls')
+  .option('-n, --limit <n>', 'Number of most recent calls to show', '50')
+  .option('--json', 'Print entries as JSON lines')
+  .action((options) => {
+    import('./commands/audit.js').then(({ audit }) => {
+      audit(options);
+    }).catch(error => {
+      console.info(chalk.red(`Error: ${error.message}`));
+    });
+  });
+
 program
   .command('add')
   .description('Add a new MCP configuration')
@@ -434,6 +530,8 @@ program.on('--help', () => {
     console.info('  $ mcpz run --toolbox="python-stack"');
     console.info('  $ mcpz run --toolboxes="python-stack,ml-tools" --tools="predict"');
     console.info('  $ mcpz run --skill="commit" --skill="test"');
+    console.info('  $ mcpz serve --port 3000 --toolbox="python-stack"');
+    console.info('  $ mcpz run --discovery --toolbox="python-stack"');
     console.info('  $ mcpz toolbox add "python-stack" --servers="python,pytorch,huggingface"');
     console.info('  $ mcpz run --servers="python-stack"');
     console.info('  $ mcpz tools');
@@ -442,6 +540,7 @@ program.on('--help', () => {
     console.info('  $ mcpz skill install github:user/repo');
     console.info('  $ mcpz add "GPT Server" --command "node" --args "server.js"');
     console.info('  $ mcpz list');
+    console.info('  $ mcpz audit --server="github" --since=1d --errors');
   }
 });
 
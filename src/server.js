@@ -3,15 +3,34 @@ import crypto from 'crypto';
 
 import fs from 'fs/promises';
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import http from 'http';
 import path from 'path';
 import os from 'os';
+import { pathToFileURL } from 'url';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
+  CreateMessageRequestSchema,
+  CreateMessageResultSchema,
+  ElicitRequestSchema,
+  ElicitResultSchema,
+  ListRootsRequestSchema,
+  LoggingLevelSchema,
+  LoggingMessageNotificationSchema,
+  ListRootsResultSchema,
+  RootsListChangedNotificationSchema,
+  SetLevelRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  ListPromptsRequestSchema,
   ListToolsRequestSchema,
   ListResourcesRequestSchema,
   ListResourceTemplatesRequestSchema,
@@ -21,6 +40,22 @@ import {
 
 // Import the instance manager
 import { InstanceManager } from './utils/instanceManager.js';
+import { DEFAULT_SEPARATOR, ToolNamespace, isValidSeparator } from './utils/toolNamespace.js';
+import { applyToolOverride, getToolAlias, getToolOverrides, stripHiddenArguments } from './utils/toolOverrides.js';
+import { appendAuditEntry, compileRedactionRules, redactArguments } from './utils/audit.js';
+import { PolicyEngine } from './utils/policy.js';
+import { collectSecretValues, configureRedaction, redactConsole, redactor } from './utils/redact.js';
+import { getDiscoveryTools, searchTools } from './utils/discovery.js';
+import { RateLimiter, hasRateLimit } from './utils/rateLimiter.js';
+import {
+  RESULT_URI_PREFIX,
+  ResultStore,
+  getResultSize,
+  resultToText,
+  truncateContent
+} from './utils/resultStore.js';
+import { listLocalTools, runLocalTool } from './utils/localTools.js';
+import { getCrashAttempt, getRestartDelay, getRestartMessage, isBudgetSpent } from './utils/restartPolicy.js';
 
 /**
  * Configuration constants
@@ -30,12 +65,37 @@ const CONFIG = {
     mcpz: path.join(os.homedir(), '.mcpz'),
     tools: path.join(os.homedir(), '.mcpz', 'tools'),
     metrics: path.join(os.homedir(), '.mcpz', 'metrics'),
+    manifests: path.join(os.homedir(), '.mcpz', 'manifests'),
     instances: path.join(os.homedir(), '.mcpz', 'instances')
   },
   server: {
     name: 'mcpz',
     version: '1.0.0'
   },
+  // Defaults for upstream server connections
+  upstream: {
+    startupTimeoutMs: 30000,
+    callTimeoutMs: 60000,
+    // How long a lazy server may sit idle before it is shut down
+    idleTimeoutMs: 5 * 60 * 1000,
+    // Crashed servers are restarted with exponential backoff, up to maxRestarts times
+    maxRestarts: 5,
+    restartDelayMs: 1000,
+    maxRestartDelayMs: 30000,
+    // A server that stays up this long gets its restart budget back
+    restartResetMs: 60000,
+    // How soon to retry offering new client capabilities to a server busy with calls
+    capabilityRefreshRetryMs: 1000
+  },
+  // Defaults for `mcpz serve`
+  http: {
+    host: '127.0.0.1',
+    port: 3000,
+    endpoint: '/mcp',
+    // Sessions with no open request for this long are closed, so crashed clients do not linger
+    sessionIdleTimeoutMs: 30 * 60 * 1000,
+    sessionSweepIntervalMs: 60 * 1000
+  },
   // mcpz.run config path
   mcpSettingsPath: path.join(os.homedir(), '.mcpz', 'config.json')
 };
@@ -67,6 +127,134 @@ function ensureDirectories() {
 // Get instance manager
 const instanceManager = InstanceManager.getInstance();
 
+/**
+ * Wrap a value as a text tool result
+ * @param {*} value - A message, or data to show as JSON
+ * @returns {Object} - The tool result
+ */
+function toTextResult(value) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: typeof value === 'string' ? value : JSON.stringify(value, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Prefix for upstream resource URIs, followed by the server name and the original URI
+ */
+const UPSTREAM_RESOURCE_PREFIX = 'mcpz://servers/';
+
+/**
+ * Namespace an upstream resource URI (or URI template) with the server that owns it
+ * @param {string} serverName - The upstream server name
+ * @param {string} uri - The original URI or URI template
+ * @returns {string} - mcpz://servers/<server>/<original uri>
+ */
+function toUpstreamResourceUri(serverName, uri) {
+  return `${UPSTREAM_RESOURCE_PREFIX}${encodeURIComponent(serverName)}/${uri}`;
+}
+
+/**
+ * Split a namespaced resource URI back into its server name and original URI
+ * @param {string} uri - The namespaced URI
+ * @returns {{serverName: string, uri: string}|null} - The parts, or null if not an upstream URI
+ */
+function parseUpstreamResourceUri(uri) {
+  if (!uri.startsWith(UPSTREAM_RESOURCE_PREFIX)) {
+    return null;
+  }
+
+  const rest = uri.slice(UPSTREAM_RESOURCE_PREFIX.length);
+  const separator = rest.indexOf('/');
+  if (separator <= 0) {
+    return null;
+  }
+
+  return {
+    serverName: decodeURIComponent(rest.slice(0, separator)),
+    uri: rest.slice(separator + 1)
+  };
+}
+
+/**
+ * Check whether two tool lists expose the same tool names
+ * @param {Object[]} a - First tool list
+ * @param {Object[]} b - Second tool list
+ * @returns {boolean} - Whether the names match
+ */
+function sameToolNames(a, b) {
+  const names = tools => tools.map(tool => tool.name).sort().join('\n');
+  return names(a) === names(b);
+}
+
+/**
+ * Check whether client capabilities offer sampling or an elicitation mode that earlier ones did not
+ * @param {Object} advertised - The capabilities an upstream server was given
+ * @param {Object} capabilities - The capabilities it would be given now
+ * @returns {boolean} - Whether anything was added
+ */
+function addsCapabilities(advertised, capabilities) {
+  return Boolean(capabilities.sampling && !advertised.sampling) ||
+    ['form', 'url'].some(mode => capabilities.elicitation?.[mode] && !advertised.elicitation?.[mode]);
+}
+
+/**
+ * Turn a configured root into a root object, accepting URIs, paths or root objects
+ * @param {string|Object} entry - The configured root
+ * @returns {Object|null} - The root, or null if the entry is invalid
+ */
+function toRoot(entry) {
+  if (typeof entry === 'string' && entry) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(entry)) {
+      return { uri: entry };
+    }
+
+    const expanded = entry.replace(/^~(?=$|[\\/])/, os.homedir());
+    return { uri: pathToFileURL(path.resolve(expanded)).href };
+  }
+
+  if (entry && typeof entry.uri === 'string') {
+    return entry.name ? { uri: entry.uri, name: entry.name } : { uri: entry.uri };
+  }
+
+  return null;
+}
+
+/**
+ * Read and parse the JSON body of an HTTP request
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @returns {Promise<Object|undefined>} - The parsed body, or undefined if empty
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw.trim() ? JSON.parse(raw) : undefined;
+}
+
+/**
+ * Send a JSON-RPC error as an HTTP response
+ * @param {http.ServerResponse} res - The HTTP response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  }));
+}
+
 /**
  * VS Code Settings Manager - Handles reading and writing VS Code settings
  */
@@ -141,6 +329,17 @@ class SettingsManager {
     return [];
   }
 
+  /**
+   * Get a top-level option from settings
+   * @param {string} name - The option name
+   * @param {*} defaultValue - Value to use when the option is not set
+   * @returns {*} - The option value
+   */
+  getOption(name, defaultValue) {
+    const settings = this.getSettings();
+    return settings && settings[name] !== undefined ? settings[name] : defaultValue;
+  }
+
   /**
    * Save the mcpz.run settings
    * @param {Object} settings - The settings object to save
@@ -379,45 +578,19 @@ class SettingsManager {
 class ToolRegistry {
   #tools = {};
 
-  /**
-   * Clear all tools from the registry and filesystem
-   * @returns {Promise<void>}
-   */
-  async clearTools() {
-    try {
-      // Clear in-memory tools
-      this.#tools = {};
-      
-      // Clear tools from filesystem
-      if (existsSync(CONFIG.dirs.tools)) {
-        const files = await fs.readdir(CONFIG.dirs.tools);
-        for (const file of files) {
-          if (file.endsWith('.json')) {
-            await fs.unlink(path.join(CONFIG.dirs.tools, file));
-          }
-        }
-      }
-      console.info('Tool Registry', 'Cleared all tools from registry and filesystem');
-    } catch (error) {
-      console.error('Tool Registry', `Error clearing tools: ${error.message}`);
-    }
-  }
-
   /**
    * Load tools from storage
    * @returns {Promise<void>}
    */
   async load() {
     try {
-      const files = await fs.readdir(CONFIG.dirs.tools);
-
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filePath = path.join(CONFIG.dirs.tools, file);
-          const data = await fs.readFile(filePath, 'utf8');
-          const toolData = JSON.parse(data);
-          this.#tools[toolData.name] = toolData;
+      // Each file is read and checked on its own, so one broken file does not hide the rest
+      for (const { tool, path: filePath, errors } of listLocalTools(CONFIG.dirs.tools)) {
+        if (errors.length > 0) {
+          console.error('Tool Registry', `Skipping ${path.basename(filePath)}: ${errors.join('; ')}`);
+          continue;
         }
+        this.#tools[tool.name] = tool;
       }
 
       console.info('Tool Registry', `Loaded ${Object.keys(this.#tools).length} tools`);
@@ -574,9 +747,54 @@ class ToolRegistry {
    * Ensure built-in tools exist
    */
   ensureBuiltInTools() {
-    // Add some built-in tools
+    // Tools for inspecting and managing mcpz itself, run by McpServer rather than an upstream server
+    const serverArgument = {
+      type: 'string',
+      description: 'The server name, as shown by list_servers'
+    };
     const builtInTools = [
-
+      {
+        name: 'list_servers',
+        description: 'List the configured MCP servers with whether they are enabled, connected and how many tools they have',
+        inputSchema: { type: 'object', properties: {} },
+        builtIn: true
+      },
+      {
+        name: 'server_status',
+        description: 'Show the running server instances, with their process, status and queued calls',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            server: { ...serverArgument, description: 'Only show instances of this server' }
+          }
+        },
+        builtIn: true
+      },
+      {
+        name: 'restart_server',
+        description: 'Restart an MCP server. Calls in progress on that server are cut off',
+        inputSchema: { type: 'object', properties: { server: serverArgument }, required: ['server'] },
+        builtIn: true
+      },
+      {
+        name: 'enable_server',
+        description: 'Enable or disable an MCP server in the config and start or stop it',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            server: serverArgument,
+            enabled: { type: 'boolean', description: 'false to disable the server (default true)' }
+          },
+          required: ['server']
+        },
+        builtIn: true
+      },
+      {
+        name: 'list_skills',
+        description: 'List the installed skills and whether each is loaded in this session',
+        inputSchema: { type: 'object', properties: {} },
+        builtIn: true
+      }
     ];
 
     // Add each built-in tool if it doesn't exist
@@ -728,11 +946,37 @@ class ToolHandler {
  */
 class McpServer {
   #server;
+  #httpServer = null;
+  #sessions = new Map();
+  #sessionSweepTimer = null;
   #toolRegistry;
   #settingsManager;
   #metricsManager;
   #toolHandler;
   #mcpClients = new Map();
+  #toolCache = new Map();
+  #serverConfigs = new Map();
+  #toolboxOptions = new Map();
+  #pendingConnections = new Map();
+  #idleTimers = new Map();
+  #activeCalls = new Map();
+  #callContexts = new Map();
+  #logLevels = new WeakMap();
+  #auditRules = null;
+  #policy = new PolicyEngine();
+  #rateLimiters = new Map();
+  #instanceIds = new Map();
+  #resultStore = new ResultStore();
+  #redactResults = true;
+  #discovery = false;
+  #restarts = new Map();
+  #shuttingDown = false;
+  #upstreamReady = null;
+  #upstreamCapabilities = new Map();
+  #capabilityRefresh = Promise.resolve();
+  #namespaceSeparator = DEFAULT_SEPARATOR;
+  #toolNamespace = null;
+  #promptNamespace = null;
   #serverFilters = null;
   #toolFilters = null;
   #toolboxFilters = null;
@@ -745,15 +989,36 @@ class McpServer {
     this.#metricsManager = new MetricsManager();
     this.#toolHandler = new ToolHandler(this.#toolRegistry, this.#settingsManager, this.#metricsManager);
 
-    // Create MCP server
-    this.#server = new Server(
+    // Create the MCP server used in stdio mode
+    this.#server = this.#createServer();
+
+    // Set up methods to provide instance status data to the UI
+    this.getInstancesStatus = this.#getInstancesStatus.bind(this);
+
+    // Set up getter for loaded skills
+    this.getLoadedSkills = () => this.#loadedSkills;
+  }
+
+  /**
+   * Create an MCP server with the aggregator's request handlers.
+   * Stdio mode uses a single server; HTTP mode creates one per client session.
+   * @private
+   * @returns {Server} - The configured MCP server
+   */
+  #createServer() {
+    const server = new Server(
       {
         name: CONFIG.server.name,
         version: CONFIG.server.version,
       },
       {
         capabilities: {
-          tools: {},
+          tools: {
+            listChanged: true
+          },
+          prompts: {},
+          logging: {},
+          completions: {},
           resources: {
             list: true,
             templates: {
@@ -772,18 +1037,37 @@ class McpServer {
     );
 
     // Set up error handling
-    this.#server.onerror = (error) => {
+    server.onerror = (error) => {
       console.error(error);
     };
 
+    // Upstream servers are started once the first client has said what it supports,
+    // so sampling and elicitation are only offered to them when a client can answer.
+    // Later clients may support more, and the servers are reconnected to offer it.
+    server.oninitialized = () => {
+      this.#refreshUpstreamCapabilities();
+      if (server.getClientCapabilities()?.roots) {
+        this.#notifyRootsListChanged();
+      }
+    };
+
+    // Replaces the SDK's own handler so the level reaches upstream servers too
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      console.info(`Client set log level to ${request.params.level}`);
+      this.#logLevels.set(server, request.params.level);
+      await this.#applyUpstreamLogLevel();
+      return {};
+    });
+
+    server.setNotificationHandler(RootsListChangedNotificationSchema, () => {
+      console.info('Client roots changed, notifying upstream servers');
+      this.#notifyRootsListChanged();
+    });
+
     // Set up request handlers
-    this.#setupRequestHandlers();
-    
-    // Set up methods to provide instance status data to the UI
-    this.getInstancesStatus = this.#getInstancesStatus.bind(this);
+    this.#setupRequestHandlers(server);
 
-    // Set up getter for loaded skills
-    this.getLoadedSkills = () => this.#loadedSkills;
+    return server;
   }
 
   /**
@@ -809,6 +1093,73 @@ class McpServer {
     return filters.size > 0 ? Array.from(filters) : null;
   }
 
+  /**
+   * Start the upstream servers on first use and wait until they are connected
+   * @private
+   * @returns {Promise<void>}
+   */
+  #waitForUpstreamServers() {
+    if (!this.#upstreamReady) {
+      this.#upstreamReady = this.#connectToMcpClients()
+        .then(() => this.#reportCollisions(this.#buildToolNamespace()))
+        .catch(error => {
+          console.error(`Error connecting to MCP clients: ${error.message}`);
+        });
+    }
+    return this.#upstreamReady;
+  }
+
+  /**
+   * Reconnect upstream servers that were started before a client supporting sampling
+   * or another elicitation mode connected, so they are offered it too
+   * @private
+   * @returns {Promise<void>}
+   */
+  #refreshUpstreamCapabilities() {
+    // One refresh at a time, so clients initializing together reconnect a server only once
+    this.#capabilityRefresh = this.#capabilityRefresh.then(async () => {
+      await this.#waitForUpstreamServers();
+      if (this.#shuttingDown) {
+        return;
+      }
+
+      let busy = false;
+
+      for (const serverName of [...this.#mcpClients.keys()]) {
+        const server = this.#serverConfigs.get(serverName);
+        const advertised = this.#upstreamCapabilities.get(serverName);
+        if (!server || !advertised || !addsCapabilities(advertised, this.#getUpstreamCapabilities(server))) {
+          continue;
+        }
+
+        // Never cut off calls in progress; try again once they are done
+        if (this.#activeCalls.get(serverName) > 0) {
+          busy = true;
+          continue;
+        }
+
+        console.info(`Reconnecting ${serverName} to offer what a newly connected client supports`);
+        this.#resetServerTimers(serverName);
+        this.#disconnectClient(serverName);
+
+        // Calls made meanwhile wait for the new connection, as they do for lazy servers
+        const connection = this.#connectToServer(server).finally(() => {
+          this.#pendingConnections.delete(serverName);
+        });
+        this.#pendingConnections.set(serverName, connection);
+        await connection;
+      }
+
+      if (busy) {
+        setTimeout(() => this.#refreshUpstreamCapabilities(), CONFIG.upstream.capabilityRefreshRetryMs).unref?.();
+      }
+    }).catch(error => {
+      console.error(`Error refreshing upstream capabilities: ${error.message}`);
+    });
+
+    return this.#capabilityRefresh;
+  }
+
   /**
    * Connect to MCP clients defined in settings
    * @private
@@ -837,322 +1188,1700 @@ class McpServer {
       console.info(`Found ${servers.length} MCP servers in settings`);
     }
     
-    // Connect to each enabled MCP server
-    for (const server of filteredServers) { 
-      // Skip disabled servers 
+    // Skip disabled servers
+    const enabledServers = filteredServers.filter(server => {
       if (!server.enabled) {
         console.info(`Skipping disabled server: ${server.name}`);
-        continue;
+        return false;
       }
-      
-      try {
-        // Extract command, args, and env from the server configuration
-        const { command, args = [], env = {} } = server;
-        
-        if (!command) {
-          console.error(`Missing command for server: ${server.name}`);
-          continue;
-        }
+      return true;
+    });
 
-        console.info(`Connecting to MCP client: ${server.name}`);
-        
-        // Parse the command string to handle space-separated arguments
-        const [cmd, ...cmdArgs] = command.split(' ');
-        const allArgs = [...cmdArgs, ...(Array.isArray(args) ? args : [])];
-        
-        console.info(`Using command: ${cmd}, args: ${allArgs.join(' ') || 'none'}, env: ${JSON.stringify(env || {})}`);
-        
-        // Skip if the command is trying to run this same script to avoid infinite recursion
-        if (cmd === 'mcpz' || (cmd === 'node' && allArgs.some(arg => arg && (arg.includes('mcpz') || arg.includes('server.js'))))) {
-          console.info(`Skipping self-reference to mcpz for ${server.name}`);
-          continue;
-        }
-        
-        // Create a client
-        const client = new Client({
-          name: 'simple-stdio-client',
-          version: '1.0.0'
-        }, {
-          capabilities: {
-            tools: true
-          }
-        });
-        
-        // Create the appropriate transport based on the server configuration
-        const transport = new StdioClientTransport({
-          command: cmd,
-          args: allArgs,
-          env: { ...process.env, ...(env || {}) },
-          cwd: process.cwd(),
-          stderr: 'pipe'
-        });
-        
-        // Set up event handlers for the transport
-        transport.onclose = () => {
-          console.info(`Transport closed for ${server.name}`);
-          
-          // Find the instance ID for this transport process and update its status
-          const instances = instanceManager.getInstancesByServer(server.name);
-          for (const instance of instances) {
-            if (instance.pid === transport.process?.pid && instance.status === 'running') {
-              instanceManager.updateInstanceStatus(instance.id, 'stopped');
-              console.info(`Updated instance ${instance.id} status to stopped`);
-            }
-          }
-        };
-        
-        transport.onerror = (e) => {
-          console.error(`Transport error for ${server.name}: ${e}`);
-          
-          // Find the instance ID for this transport process and update its status
-          const instances = instanceManager.getInstancesByServer(server.name);
-          for (const instance of instances) {
-            if (instance.pid === transport.process?.pid && instance.status === 'running') {
-              instanceManager.updateInstanceStatus(instance.id, 'error');
-              console.info(`Updated instance ${instance.id} status to error`);
-            }
-          }
-        };
-        
-        transport.onmessage = (message) => {
-          console.info(`Transport message from ${server.name}: ${message}`);
-        };
-        
-        // Connect the client to the transport
-        try {
-          console.info(`Connecting to ${server.name} using StdioClientTransport`);
-          await client.connect(transport);
-          console.info(`Successfully connected to MCP client: ${server.name}`);
-          
-          // Initialize with no PID, we'll update it later if it becomes available
-          const initialPid = null;
-          
-          // Test the connection first to get MCP details
-          console.info(`Getting MCP details from ${server.name}...`);
-          let mcpDetails = null;
-          
-          try {
-            // Get tools to determine MCP capabilities
-            const toolsResponse = await client.listTools();
-            
-            if (!toolsResponse.error) {
-              // Create an MCP details object with the information we have
-              mcpDetails = {
-                toolCount: toolsResponse.tools ? toolsResponse.tools.length : 0,
-                toolTypes: toolsResponse.tools ? [...new Set(toolsResponse.tools.map(t => t.type || 'unknown'))] : [],
-                capabilities: toolsResponse.tools ? 
-                  toolsResponse.tools.reduce((caps, tool) => {
-                    if (tool.name) caps.toolNames.add(tool.name);
-                    return caps;
-                  }, { toolNames: new Set() }) : 
-                  { toolNames: new Set() }
-              };
-              
-              // Convert Sets to Arrays for serialization
-              mcpDetails.capabilities.toolNames = Array.from(mcpDetails.capabilities.toolNames);
-            }
-          } catch (detailsError) {
-            console.info(`Could not get MCP details for ${server.name}: ${detailsError.message}`);
-          }
-          
-          // Include filterInfo in the server config if applicable
-          const serverConfig = {
-            ...server,
-            toolFilters: this.#toolFilters || [],
-            serverFilters: this.#serverFilters || [],
-            toolboxFilters: this.#toolboxFilters || []
-          };
-          
-          // Register the instance with the instance manager
-          const instanceId = instanceManager.registerInstance(
-            initialPid,
-            cmd,
-            server.name,
-            'cli',
-            JSON.stringify(serverConfig),
-            {
-              args: allArgs,
-              env: env || {},
-              cwd: process.cwd()
-            },
-            'stdio',
-            transport,
-            mcpDetails
-          );
-          
-          console.info(`Registered server instance ${instanceId} without initial PID`);
-          
-          // Set up a listener to get the PID once it becomes available
-          const checkForPid = setInterval(() => {
-            try {
-              const currentPid = transport.process?.pid;
-              if (currentPid) {
-                instanceManager.updateInstancePid(instanceId, currentPid);
-                console.info(`Updated instance ${instanceId} with real PID ${currentPid}`);
-                clearInterval(checkForPid);
-              }
-            } catch (error) {
-              console.debug(`Error checking for PID: ${error.message}`);
-            }
-          }, 500); // Check every 500ms
-          
-          // Clean up the interval after 10 seconds if we still don't have a PID
-          setTimeout(() => {
-            clearInterval(checkForPid);
-            console.info(`Stopped checking for PID for instance ${instanceId}`);
-          }, 10000);
-          
-          // Test the connection by listing tools
-          try {
-            console.info(`Listing tools from ${server.name}...`);
-            const toolsResponse = await client.listTools();
-            
-            if (toolsResponse.error) {
-              console.error(`Error from client ${server.name}: ${JSON.stringify(toolsResponse.error)}`);
-              continue;
-            }
-            
-            console.info(`Successfully listed tools from ${server.name}: ${toolsResponse.tools ? toolsResponse.tools.length : 0} tools found`);
-            // Register the client
-            this.registerClient(server.name, client);
-          } catch (toolError) {
-            console.error(`Error listing tools from ${server.name}: ${toolError.message}`);
-          }
-        } catch (connectError) {
-          console.error(`Error connecting to ${server.name}: ${connectError.message}`);
-          continue;
-        }
-        
-      } catch (error) {
-        console.error(`Error connecting to MCP client ${server.name}: ${error.message}`);
+    enabledServers.forEach(server => this.#serverConfigs.set(server.name, server));
+
+    // Lazy servers with a manifest from an earlier run are only spawned when first used
+    const eagerServers = enabledServers.filter(server => {
+      if (!this.#isLazy(server)) {
+        return true;
       }
-    }
+
+      const manifest = this.#readManifest(server.name);
+      if (!manifest) {
+        console.info(`No tool manifest for lazy server ${server.name}, starting it to build one`);
+        return true;
+      }
+
+      this.#toolCache.set(server.name, manifest.tools);
+      console.info(`Loaded ${manifest.tools.length} tools for lazy server ${server.name} from manifest`);
+      return false;
+    });
+
+    // Connect to every eager server concurrently so one slow server cannot hold up the rest
+    await Promise.all(eagerServers.map(server => this.#connectToServer(server)));
     
     console.info(`Connected to ${this.#mcpClients.size} MCP clients`);
   }
 
   /**
-   * Register a client with the MCP server
-   * @param {string} clientId - The ID of the client
-   * @param {Object} client - The MCP client instance
-   */
-  registerClient(clientId, client) {
-    console.info(`Registering client: ${clientId}`);
-    this.#mcpClients.set(clientId, client);
-  }
-
-  /**
-   * Set up request handlers
+   * Connect to a single MCP server, giving up after its startup timeout
    * @private
+   * @param {Object} server - The server configuration
+   * @returns {Promise<void>}
    */
-  #setupRequestHandlers() {
-    // Handler for listing tools
-    this.#server.setRequestHandler(ListToolsRequestSchema, async () => {
-      console.info('Handling ListTools request');
-
-      console.info(`Number of registered clients: ${this.#mcpClients.size}`);
-      console.info(`Client IDs: ${Array.from(this.#mcpClients.keys()).join(', ')}`);
-
-      // Array to hold all tools from MCP servers
-      const allTools = [];
+  async #connectToServer(server) {
+    try {
+      const connectionType = this.#getConnectionType(server);
+      const target = connectionType === 'stdio'
+        ? this.#resolveStdioCommand(server)
+        : this.#resolveRemoteEndpoint(server);
 
-      // First, add all tools from our own registry
-      const localTools = this.#toolRegistry.list();
-      const prefixedLocalTools = this.#toolRegistry.addServerPrefixToTools(localTools, 'mcpz');
-      allTools.push(...prefixedLocalTools);
-      console.info(`Added ${prefixedLocalTools.length} tools from local registry under 'mcpz'`);
+      if (!target) {
+        return;
+      }
 
-      // For each connected MCP client
-      for (const [clientId, client] of this.#mcpClients.entries()) {
-        try {
-          // Get tools from the client
-          const toolsResponse = await client.listTools();
-
-          if (toolsResponse.tools && toolsResponse.tools.length > 0) {
-            // Add a prefix to each tool name to avoid conflicts
-            const prefixedTools = toolsResponse.tools.map(tool => ({
-              ...tool,
-              name: `${clientId}_${tool.name}`,
-              description: `[${clientId}] ${tool.description || 'No description'}`
-            }));
-
-            allTools.push(...prefixedTools);
-            console.info(`Added ${prefixedTools.length} tools from client '${clientId}'`);
+      console.info(`Connecting to MCP client: ${server.name}`);
+      
+      // Create a client
+      const capabilities = this.#getUpstreamCapabilities(server);
+      this.#upstreamCapabilities.set(server.name, capabilities);
+      const client = new Client({
+        name: 'simple-stdio-client',
+        version: '1.0.0'
+      }, {
+        capabilities,
+        // Refresh the tool cache when the server reports its tools changed
+        listChanged: {
+          tools: {
+            onChanged: (error, tools) => this.#onUpstreamToolsChanged(server.name, error, tools)
           }
-        } catch (error) {
-          console.error(`Error fetching tools from client ${clientId}: ${error.message}`);
         }
-      }
+      });
+      this.#setupUpstreamHandlers(server, client, capabilities);
+      
+      // Create the appropriate transport based on the server configuration
+      const transport = this.#createClientTransport(connectionType, target);
 
-      // Apply tool filtering if specified
-      let filteredTools = allTools;
-      if (this.#toolFilters) {
-        console.info(`Filtering to tools: ${this.#toolFilters.join(', ')}`);
-        
-        filteredTools = allTools.filter(tool => {
-          // Extract original tool name without server prefix
-          const originalName = tool.originalName || 
-                              (tool.name.includes('_') ? 
-                                tool.name.split('_').slice(1).join('_') : 
-                                tool.name);
-          
-          return this.#toolFilters.includes(originalName);
-        });
+      // Set once the instance is registered so transport events can update it
+      let instanceId = null;
+      let connectedAt = 0;
+      
+      // Set up event handlers for the transport
+      transport.onclose = () => {
+        console.info(`Transport closed for ${server.name}`);
         
-        console.info(`Filtered to ${filteredTools.length} tools out of ${allTools.length} total`);
-      } else {
-        console.info(`Returning ${allTools.length} tools from all MCP servers`);
-      }
+        if (instanceId && instanceManager.getInstance(instanceId)?.status === 'running') {
+          instanceManager.updateInstanceStatus(instanceId, 'stopped');
+          console.info(`Updated instance ${instanceId} status to stopped`);
+        }
+
+        // Clients closed on purpose are removed from the registry first, so only crashes get here
+        if (this.#mcpClients.get(server.name) === client) {
+          this.#mcpClients.delete(server.name);
+          this.#onUpstreamCrashed(server, Date.now() - connectedAt);
+        }
+      };
       
-      return { tools: filteredTools };
-    });
+      transport.onerror = (e) => {
+        console.error(`Transport error for ${server.name}: ${e}`);
+        
+        if (instanceId && instanceManager.getInstance(instanceId)?.status === 'running') {
+          instanceManager.updateInstanceStatus(instanceId, 'error');
+          console.info(`Updated instance ${instanceId} status to error`);
+        }
+      };
 
-    // Handler for calling tools
-    this.#server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const toolName = request.params.name;
-      console.info(`Handling CallTool request for tool: ${toolName}`);
+      const startupTimeoutMs = this.#getStartupTimeout(server);
+      let timeoutHandle;
+      const timeout = new Promise((resolve, reject) => {
+        timeoutHandle = setTimeout(() => {
+          reject(new Error(`Timed out after ${startupTimeoutMs}ms`));
+        }, startupTimeoutMs);
+      });
 
-      // Extract client ID and original tool name from the prefixed tool name
-      const parts = toolName.split('_');
-      if (parts.length < 2) {
-        console.error(`Invalid tool name format: ${toolName}`);
-        throw new McpError(
-          ErrorCode.MethodNotFound,
-          `Invalid tool name format: ${toolName}. Expected format: serverName_toolName`
-        );
+      let tools;
+      try {
+        console.info(`Connecting to ${server.name} using ${transport.constructor.name}`);
+        tools = await Promise.race([this.#initializeClient(server, client, transport), timeout]);
+      } catch (connectError) {
+        console.error(`Error connecting to ${server.name}: ${connectError.message}`);
+
+        // Stop the server process, which may have started even though it never answered,
+        // and record the server as failed rather than missing
+        client.close().catch(() => {});
+        const failedId = this.#registerServerInstance(server, connectionType, target, transport, null);
+        instanceManager.updateInstanceStatus(failedId, 'error');
+        return;
+      } finally {
+        clearTimeout(timeoutHandle);
       }
 
-      const clientId = parts[0];
-      const originalToolName = parts.slice(1).join('_');
-
-      console.info(`Routing tool call to client: ${clientId}, tool: ${originalToolName}`);
-
-      // Find the client
-      const client = this.#mcpClients.get(clientId);
-      if (!client) {
-        console.error(`Client not found: ${clientId}`);
-        throw new McpError(
-          ErrorCode.MethodNotFound,
-          `Client not found: ${clientId}`
-        );
+      // Register the instance with the instance manager
+      instanceId = this.#registerServerInstance(server, connectionType, target, transport, this.#buildMcpDetails(tools));
+      this.#instanceIds.set(server.name, instanceId);
+      connectedAt = Date.now();
+      console.info(`Registered server instance ${instanceId} without initial PID`);
+      
+      // Only stdio servers have a local process whose PID we can track
+      if (connectionType === 'stdio') {
+        this.#trackTransportPid(instanceId, transport);
       }
 
-      // Track tool usage
-      await this.#metricsManager.trackUsage(toolName);
+      const previousTools = this.#toolCache.get(server.name);
+      this.#toolCache.set(server.name, tools);
+      this.#writeManifest(server.name, tools);
 
-      try {
-        console.info(`Forwarding tool call to client ${clientId} for tool ${originalToolName}`);
+      // Register the client
+      this.registerClient(server.name, client);
+      await this.#applyUpstreamLogLevel([[server.name, client]]);
 
-        // Forward the tool call to the original client
-        const payload = {
-          name: originalToolName,
-          arguments: request.params.arguments
-        };
+      if (this.#isLazy(server)) {
+        this.#touchLazyServer(server.name);
+      }
 
-        console.info(`Sending payload: ${JSON.stringify(payload)}`);
+      // A restarted or lazily spawned server may have changed since its tools were cached
+      if (previousTools && !sameToolNames(previousTools, tools)) {
+        this.#notifyToolListChanged();
+      }
+    } catch (error) {
+      console.error(`Error connecting to MCP client ${server.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a server should only be spawned on demand
+   * @private
+   * @param {Object} server - The server configuration
+   * @returns {boolean} - Whether the server is lazy
+   */
+  #isLazy(server) {
+    return server.lazy === true || this.#toolboxOptions.get(server.name)?.lazy === true;
+  }
+
+  /**
+   * Get how long a lazy server may sit idle before it is shut down
+   * @private
+   * @param {string} serverName - The server name
+   * @returns {number} - Idle timeout in milliseconds
+   */
+  #getIdleTimeout(serverName) {
+    const timeout = this.#serverConfigs.get(serverName)?.idleTimeoutMs ??
+      this.#toolboxOptions.get(serverName)?.idleTimeoutMs ??
+      this.#settingsManager.getOption('idleTimeoutMs', CONFIG.upstream.idleTimeoutMs);
+
+    return Number.isFinite(timeout) && timeout > 0 ? timeout : CONFIG.upstream.idleTimeoutMs;
+  }
+
+  /**
+   * Get the path of a server's tool manifest
+   * @private
+   * @param {string} serverName - The server name
+   * @returns {string} - Path to the manifest file
+   */
+  #getManifestPath(serverName) {
+    return path.join(CONFIG.dirs.manifests, `${encodeURIComponent(serverName)}.json`);
+  }
+
+  /**
+   * Read the tool manifest saved from a server's last successful run
+   * @private
+   * @param {string} serverName - The server name
+   * @returns {Object|null} - The manifest, or null if there is none
+   */
+  #readManifest(serverName) {
+    const manifestPath = this.#getManifestPath(serverName);
+
+    try {
+      if (existsSync(manifestPath)) {
+        const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+        if (Array.isArray(manifest.tools)) {
+          return manifest;
+        }
+      }
+    } catch (error) {
+      console.error(`Error reading tool manifest for ${serverName}: ${error.message}`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Save a server's tools so a lazy start can serve them without spawning it
+   * @private
+   * @param {string} serverName - The server name
+   * @param {Object[]} tools - The server's tools
+   */
+  #writeManifest(serverName, tools) {
+    try {
+      writeFileSync(this.#getManifestPath(serverName), JSON.stringify({
+        serverName,
+        updatedAt: new Date().toISOString(),
+        tools
+      }, null, 2));
+    } catch (error) {
+      console.error(`Error writing tool manifest for ${serverName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the connected client for a server, spawning lazy servers on first use
+   * @private
+   * @param {string} serverName - The server name
+   * @returns {Promise<Object|null>} - The client, or null if the server is unknown or failed to start
+   */
+  async #getClient(serverName) {
+    if (this.#mcpClients.has(serverName)) {
+      return this.#mcpClients.get(serverName);
+    }
+
+    const restartError = this.#getRestartError(serverName);
+    if (restartError) {
+      throw restartError;
+    }
+
+    // Calls to a server that is being spawned or reconnected share that connection
+    if (this.#pendingConnections.has(serverName)) {
+      await this.#pendingConnections.get(serverName);
+      return this.#mcpClients.get(serverName) || null;
+    }
+
+    const server = this.#serverConfigs.get(serverName);
+    if (!server || !this.#isLazy(server)) {
+      return null;
+    }
+
+    console.info(`Starting lazy server on demand: ${serverName}`);
+    const connection = this.#connectToServer(server).finally(() => {
+      this.#pendingConnections.delete(serverName);
+    });
+    this.#pendingConnections.set(serverName, connection);
+
+    await connection;
+    return this.#mcpClients.get(serverName) || null;
+  }
+
+  /**
+   * Restart the idle timer of a lazy server
+   * @private
+   * @param {string} serverName - The server name
+   */
+  #touchLazyServer(serverName) {
+    clearTimeout(this.#idleTimers.get(serverName));
+
+    const timer = setTimeout(() => {
+      this.#idleTimers.delete(serverName);
+
+      // Never shut down a server in the middle of a call
+      if (this.#activeCalls.get(serverName) > 0) {
+        this.#touchLazyServer(serverName);
+        return;
+      }
+
+      console.info(`Lazy server ${serverName} has been idle, shutting it down`);
+      this.#disconnectClient(serverName);
+    }, this.#getIdleTimeout(serverName));
+    timer.unref?.();
+
+    this.#idleTimers.set(serverName, timer);
+  }
+
+  /**
+   * Close a client and remove it from the registry, keeping its cached tools
+   * @private
+   * @param {string} serverName - The server name
+   */
+  #disconnectClient(serverName) {
+    const client = this.#mcpClients.get(serverName);
+    if (!client) {
+      return;
+    }
+
+    this.#mcpClients.delete(serverName);
+    client.close().catch(error => {
+      console.error(`Error closing client ${serverName}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Get the restart budget for a server
+   * @private
+   * @param {Object} server - The server configuration
+   * @returns {number} - How many times in a row the server may be restarted
+   */
+  #getMaxRestarts(server) {
+    const maxRestarts = server.maxRestarts ??
+      this.#settingsManager.getOption('maxRestarts', CONFIG.upstream.maxRestarts);
+
+    return Number.isInteger(maxRestarts) && maxRestarts >= 0 ? maxRestarts : CONFIG.upstream.maxRestarts;
+  }
+
+  /**
+   * Get the delay before a restart attempt, doubling with every attempt
+   * @private
+   * @param {Object} server - The server configuration
+   * @param {number} attempt - The attempt number, starting at 1
+   * @returns {number} - Delay in milliseconds
+   */
+  #getRestartDelay(server, attempt) {
+    let baseDelay = server.restartDelayMs ??
+      this.#settingsManager.getOption('restartDelayMs', CONFIG.upstream.restartDelayMs);
+    if (!Number.isFinite(baseDelay) || baseDelay < 0) {
+      baseDelay = CONFIG.upstream.restartDelayMs;
+    }
+
+    return getRestartDelay(baseDelay, attempt, CONFIG.upstream.maxRestartDelayMs);
+  }
+
+  /**
+   * Handle an upstream server whose connection closed without being asked to
+   * @private
+   * @param {Object} server - The server configuration
+   * @param {number} uptimeMs - How long the crashed connection had been up
+   */
+  #onUpstreamCrashed(server, uptimeMs) {
+    if (this.#shuttingDown) {
+      return;
+    }
+
+    clearTimeout(this.#idleTimers.get(server.name));
+    this.#idleTimers.delete(server.name);
+
+    // Only count crashes in quick succession against the restart budget
+    const attempt = getCrashAttempt(this.#restarts.get(server.name), uptimeMs, CONFIG.upstream.restartResetMs);
+
+    console.error(`Upstream server ${server.name} exited unexpectedly`);
+    this.#scheduleRestart(server, attempt);
+  }
+
+  /**
+   * Schedule the next restart of a crashed server, or give up once its budget is spent
+   * @private
+   * @param {Object} server - The server configuration
+   * @param {number} attempt - The attempt number, starting at 1
+   */
+  #scheduleRestart(server, attempt) {
+    const maxRestarts = this.#getMaxRestarts(server);
+
+    if (isBudgetSpent(attempt, maxRestarts)) {
+      console.error(`Giving up on ${server.name} after ${maxRestarts} restart attempts`);
+      this.#restarts.set(server.name, { attempts: maxRestarts, failed: true, timer: null });
+
+      // Stop advertising tools that can no longer be called
+      if (this.#toolCache.delete(server.name)) {
+        this.#notifyToolListChanged();
+      }
+      return;
+    }
+
+    const delay = this.#getRestartDelay(server, attempt);
+    console.info(`Restarting ${server.name} in ${delay}ms (attempt ${attempt} of ${maxRestarts})`);
+
+    const timer = setTimeout(() => this.#restartServer(server, attempt), delay);
+    timer.unref?.();
+    this.#restarts.set(server.name, { attempts: attempt, failed: false, timer, retryAt: Date.now() + delay });
+  }
+
+  /**
+   * Reconnect a crashed server, retrying with backoff if it fails to come back
+   * @private
+   * @param {Object} server - The server configuration
+   * @param {number} attempt - The attempt number, starting at 1
+   */
+  async #restartServer(server, attempt) {
+    if (this.#shuttingDown) {
+      return;
+    }
+
+    this.#restarts.set(server.name, { attempts: attempt, failed: false, timer: null });
+    await this.#connectToServer(server);
+
+    if (this.#mcpClients.has(server.name)) {
+      console.info(`Restarted ${server.name} (attempt ${attempt})`);
+      // Keep the attempt count so a crash right after the restart still uses up the budget
+      this.#restarts.set(server.name, { attempts: attempt, failed: false, timer: null, running: true });
+      return;
+    }
+
+    this.#scheduleRestart(server, attempt + 1);
+  }
+
+  /**
+   * Build the error returned for a server that is down because it crashed
+   * @private
+   * @param {string} serverName - The server name
+   * @returns {McpError|null} - The error, or null if the server is not being restarted
+   */
+  #getRestartError(serverName) {
+    const message = getRestartMessage(serverName, this.#restarts.get(serverName));
+    return message ? new McpError(ErrorCode.InternalError, message) : null;
+  }
+
+  /**
+   * Track a call in flight to a server, keeping lazy servers alive while it runs
+   * @private
+   * @param {string} serverName - The server name
+   * @param {Function} call - Async function performing the call
+   * @param {Object} [context] - The downstream server and request `extra` the call was made for
+   * @returns {Promise<*>} - The call's result
+   */
+  async #withActiveCall(serverName, call, context) {
+    this.#activeCalls.set(serverName, (this.#activeCalls.get(serverName) || 0) + 1);
+
+    // Remember who asked, so requests the server makes during the call go back to that client
+    const contexts = this.#callContexts.get(serverName) || [];
+    if (context) {
+      contexts.push(context);
+      this.#callContexts.set(serverName, contexts);
+    }
+
+    try {
+      return await call();
+    } finally {
+      this.#activeCalls.set(serverName, this.#activeCalls.get(serverName) - 1);
+
+      if (context) {
+        contexts.splice(contexts.indexOf(context), 1);
+      }
+
+      if (this.#idleTimers.has(serverName)) {
+        this.#touchLazyServer(serverName);
+      }
+    }
+  }
+
+  /**
+   * Find a downstream client that can answer a request from an upstream server
+   *
+   * Prefers the client whose tool call the upstream server is serving, and falls
+   * back to any connected client with the capability.
+   * @private
+   * @param {string} serverName - The upstream server making the request
+   * @param {Function} supports - Checks a client's capabilities for what the request needs
+   * @returns {Function|null} - Sends a request to the client, or null if none supports it
+   */
+  #findDownstreamRequester(serverName, supports) {
+    const contexts = this.#callContexts.get(serverName) || [];
+
+    for (let i = contexts.length - 1; i >= 0; i--) {
+      const { server, extra } = contexts[i];
+      if (supports(server.getClientCapabilities() || {})) {
+        return (request, resultSchema, options) => extra.sendRequest(request, resultSchema, options);
+      }
+    }
+
+    const server = this.#getDownstreamServers().find(candidate => supports(candidate.getClientCapabilities() || {}));
+    return server ? (request, resultSchema, options) => server.request(request, resultSchema, options) : null;
+  }
+
+  /**
+   * Get a server's sampling policy from its config
+   * @private
+   * @param {Object} server - The server configuration
+   * @returns {{enabled: boolean, maxTokens: number|null}} - The policy
+   */
+  #getSamplingPolicy(server) {
+    const policy = server.sampling === false ? { enabled: false } : server.sampling || {};
+
+    return {
+      enabled: policy.enabled !== false,
+      maxTokens: Number.isInteger(policy.maxTokens) && policy.maxTokens > 0 ? policy.maxTokens : null
+    };
+  }
+
+  /**
+   * Pass a sampling request from an upstream server on to the downstream client
+   * @private
+   * @param {Object} server - The upstream server configuration
+   * @param {Object} request - The sampling/createMessage request
+   * @param {Object} extra - The upstream request's extra data
+   * @returns {Promise<Object>} - The client's sampling result
+   */
+  async #relaySampling(server, request, extra) {
+    const sendRequest = this.#findDownstreamRequester(server.name, capabilities => !!capabilities.sampling);
+    if (!sendRequest) {
+      console.error(`Sampling request from ${server.name} rejected: no connected client supports sampling`);
+      throw new McpError(ErrorCode.InvalidRequest, 'The client connected to mcpz does not support sampling');
+    }
+
+    const params = { ...request.params };
+    const { maxTokens } = this.#getSamplingPolicy(server);
+    if (maxTokens && params.maxTokens > maxTokens) {
+      console.info(`Capping sampling request from ${server.name} at ${maxTokens} tokens (asked for ${params.maxTokens})`);
+      params.maxTokens = maxTokens;
+    }
+
+    console.info(`Relaying sampling request from ${server.name}`);
+    return sendRequest({ method: 'sampling/createMessage', params }, CreateMessageResultSchema, { signal: extra.signal });
+  }
+
+  /**
+   * Pass an elicitation request from an upstream server on to the downstream client
+   * @private
+   * @param {Object} server - The upstream server configuration
+   * @param {Object} request - The elicitation/create request
+   * @param {Object} extra - The upstream request's extra data
+   * @returns {Promise<Object>} - The user's answer
+   */
+  async #relayElicitation(server, request, extra) {
+    const mode = request.params.mode || 'form';
+
+    // A bare elicitation capability means form mode only
+    const sendRequest = this.#findDownstreamRequester(server.name, ({ elicitation }) => {
+      if (!elicitation) {
+        return false;
+      }
+      return mode === 'url' ? !!elicitation.url : !!elicitation.form || !elicitation.url;
+    });
+    if (!sendRequest) {
+      console.error(`Elicitation request from ${server.name} rejected: no connected client supports ${mode} elicitation`);
+      throw new McpError(ErrorCode.InvalidRequest, `The client connected to mcpz does not support ${mode} elicitation`);
+    }
+
+    // Tell the user which server is asking
+    const params = { ...request.params, message: `[${server.name}] ${request.params.message}` };
+
+    console.info(`Relaying ${mode} elicitation request from ${server.name}`);
+    return sendRequest({ method: 'elicitation/create', params }, ElicitResultSchema, { signal: extra.signal });
+  }
+
+  /**
+   * Get the roots pinned for a server by the toolbox it was loaded from
+   * @private
+   * @param {string} serverName - The server name
+   * @returns {Object[]|null} - The pinned roots, or null if the client's roots apply
+   */
+  #getPinnedRoots(serverName) {
+    const roots = this.#toolboxOptions.get(serverName)?.roots;
+    if (!Array.isArray(roots)) {
+      return null;
+    }
+
+    return roots.map(toRoot).filter(Boolean);
+  }
+
+  /**
+   * Answer roots/list from an upstream server with pinned roots or the downstream client's roots
+   * @private
+   * @param {Object} server - The upstream server configuration
+   * @param {Object} extra - The upstream request's extra data
+   * @returns {Promise<Object>} - The roots
+   */
+  async #relayRoots(server, extra) {
+    const pinnedRoots = this.#getPinnedRoots(server.name);
+    if (pinnedRoots) {
+      return { roots: pinnedRoots };
+    }
+
+    const sendRequest = this.#findDownstreamRequester(server.name, capabilities => !!capabilities.roots);
+    if (!sendRequest) {
+      console.info(`No connected client provides roots, sending ${server.name} an empty list`);
+      return { roots: [] };
+    }
+
+    return sendRequest({ method: 'roots/list' }, ListRootsResultSchema, { signal: extra.signal });
+  }
+
+  /**
+   * Tell upstream servers that follow the client's roots that they changed
+   * @private
+   */
+  #notifyRootsListChanged() {
+    for (const [serverName, client] of this.#mcpClients.entries()) {
+      if (this.#getPinnedRoots(serverName)) {
+        continue;
+      }
+
+      client.sendRootsListChanged().catch(error => {
+        console.error(`Error sending roots/list_changed to ${serverName}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Get the most verbose log level any connected client asked for
+   * @private
+   * @returns {string|null} - The level, or null if no client has set one
+   */
+  #getRequestedLogLevel() {
+    const levels = this.#getDownstreamServers()
+      .map(server => this.#logLevels.get(server))
+      .filter(Boolean);
+    if (levels.length === 0) {
+      return null;
+    }
+
+    return levels.reduce((lowest, level) =>
+      LoggingLevelSchema.options.indexOf(level) < LoggingLevelSchema.options.indexOf(lowest) ? level : lowest);
+  }
+
+  /**
+   * Set the log level clients asked for on upstream servers that support logging
+   * @private
+   * @param {Iterable<[string, Client]>} [clients] - The clients to update, all connected clients by default
+   * @returns {Promise<void>}
+   */
+  async #applyUpstreamLogLevel(clients = this.#mcpClients.entries()) {
+    const level = this.#getRequestedLogLevel();
+    if (!level) {
+      return;
+    }
+
+    const updates = [];
+    for (const [serverName, client] of clients) {
+      if (!client.getServerCapabilities()?.logging) {
+        continue;
+      }
+
+      updates.push(client.setLoggingLevel(level).catch(error => {
+        console.error(`Error setting log level on ${serverName}: ${error.message}`);
+      }));
+    }
+
+    await Promise.all(updates);
+  }
+
+  /**
+   * Forward a log message from an upstream server to clients whose log level lets it through
+   * @private
+   * @param {string} serverName - The upstream server name
+   * @param {Object} params - The notifications/message params
+   */
+  #forwardLogMessage(serverName, params) {
+    const message = {
+      ...params,
+      logger: params.logger ? `${serverName}/${params.logger}` : serverName,
+      data: redactor.redactValue(params.data)
+    };
+    const severity = LoggingLevelSchema.options.indexOf(message.level);
+
+    for (const server of this.#getDownstreamServers()) {
+      const level = this.#logLevels.get(server);
+      if (level && severity < LoggingLevelSchema.options.indexOf(level)) {
+        continue;
+      }
+
+      server.sendLoggingMessage(message).catch(error => {
+        console.error(`Error forwarding log message from ${serverName}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Get the client capabilities mcpz advertises to an upstream server
+   *
+   * Client requests are relayed to whichever downstream client is connected at
+   * the time, so they are advertised up front and checked when they arrive.
+   * @private
+   * @param {Object} server - The server configuration
+   * @returns {Object} - The capabilities
+   */
+  #getUpstreamCapabilities(server) {
+    const capabilities = {
+      tools: true
+    };
+
+    // Only offer what a connected client can actually answer
+    const clients = this.#getDownstreamServers().map(downstream => downstream.getClientCapabilities() || {});
+
+    if (this.#getSamplingPolicy(server).enabled && clients.some(client => client.sampling)) {
+      capabilities.sampling = {};
+    }
+
+    // A bare elicitation capability means form mode only
+    const elicitation = {};
+    if (clients.some(({ elicitation: modes }) => modes && (modes.form || !modes.url))) {
+      elicitation.form = {};
+    }
+    if (clients.some(({ elicitation: modes }) => modes?.url)) {
+      elicitation.url = {};
+    }
+    if (Object.keys(elicitation).length > 0) {
+      capabilities.elicitation = elicitation;
+    }
+
+    capabilities.roots = { listChanged: true };
+
+    return capabilities;
+  }
+
+  /**
+   * Register handlers for requests an upstream server sends to mcpz
+   * @private
+   * @param {Object} server - The server configuration
+   * @param {Client} client - The MCP client connected to the server
+   * @param {Object} capabilities - The capabilities the client advertises
+   */
+  #setupUpstreamHandlers(server, client, capabilities) {
+    if (capabilities.sampling) {
+      client.setRequestHandler(CreateMessageRequestSchema, (request, extra) => this.#relaySampling(server, request, extra));
+    }
+    if (capabilities.elicitation) {
+      client.setRequestHandler(ElicitRequestSchema, (request, extra) => this.#relayElicitation(server, request, extra));
+    }
+
+    client.setRequestHandler(ListRootsRequestSchema, (request, extra) => this.#relayRoots(server, extra));
+    client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+      this.#forwardLogMessage(server.name, notification.params);
+    });
+  }
+
+  /**
+   * Connect a client to its transport and list the server's tools
+   * @private
+   * @param {Object} server - The server configuration
+   * @param {Client} client - The MCP client
+   * @param {Object} transport - The client transport
+   * @returns {Promise<Object[]>} - The server's tools, empty if it offers none
+   */
+  async #initializeClient(server, client, transport) {
+    await client.connect(transport);
+    console.info(`Successfully connected to MCP client: ${server.name}`);
+
+    // Servers that only offer prompts or resources do not answer tools/list
+    if (!client.getServerCapabilities()?.tools) {
+      console.info(`${server.name} does not offer tools`);
+      return [];
+    }
+
+    console.info(`Listing tools from ${server.name}...`);
+    const tools = await this.#listAllPages(params => client.listTools(params), 'tools');
+    console.info(`Successfully listed tools from ${server.name}: ${tools.length} tools found`);
+
+    return tools;
+  }
+
+  /**
+   * Get how long to wait for a server to connect and list its tools
+   * @private
+   * @param {Object} server - The server configuration
+   * @returns {number} - Timeout in milliseconds
+   */
+  #getStartupTimeout(server) {
+    const timeout = server.startupTimeoutMs ??
+      this.#settingsManager.getOption('startupTimeoutMs', CONFIG.upstream.startupTimeoutMs);
+
+    return Number.isFinite(timeout) && timeout > 0 ? timeout : CONFIG.upstream.startupTimeoutMs;
+  }
+
+  /**
+   * Get how long a tool call may run before it is cancelled
+   * @private
+   * @param {string} serverName - The server name
+   * @param {Object} [override] - The tool's override from the server config
+   * @returns {number} - Timeout in milliseconds
+   */
+  #getCallTimeout(serverName, override) {
+    const timeout = override?.timeoutMs ??
+      this.#serverConfigs.get(serverName)?.callTimeoutMs ??
+      this.#settingsManager.getOption('callTimeoutMs', CONFIG.upstream.callTimeoutMs);
+
+    return Number.isFinite(timeout) && timeout > 0 ? timeout : CONFIG.upstream.callTimeoutMs;
+  }
+
+  /**
+   * Mask secrets in the text of a tool result
+   * @private
+   * @param {Object} result - The tool result
+   * @returns {Object} - A redacted copy, or the result itself if results are not redacted
+   */
+  #redactResult(result) {
+    if (!this.#redactResults || !result) {
+      return result;
+    }
+
+    // Only text is touched; images and other binary content pass through as they are
+    const content = Array.isArray(result.content) ? result.content.map(item => {
+      if (item.type === 'text') {
+        return { ...item, text: redactor.redact(item.text) };
+      }
+      if (item.type === 'resource' && typeof item.resource?.text === 'string') {
+        return { ...item, resource: { ...item.resource, text: redactor.redact(item.resource.text) } };
+      }
+      return item;
+    }) : result.content;
+
+    const redacted = { ...result, content };
+    if (result.structuredContent) {
+      redacted.structuredContent = redactor.redactValue(result.structuredContent);
+    }
+    return redacted;
+  }
+
+  /**
+   * Get the largest tool result that is returned in full
+   * @private
+   * @param {string} serverName - The server name
+   * @param {Object} [override] - The tool's override from the server config
+   * @returns {number|null} - Limit in bytes, or null if results are never truncated
+   */
+  #getMaxResultBytes(serverName, override) {
+    const maxBytes = override?.maxResultBytes ??
+      this.#serverConfigs.get(serverName)?.maxResultBytes ??
+      this.#settingsManager.getOption('maxResultBytes', null);
+
+    return Number.isFinite(maxBytes) && maxBytes > 0 ? maxBytes : null;
+  }
+
+  /**
+   * Truncate a tool result over the size limit, keeping the full result as a resource
+   * @private
+   * @param {Object} result - The tool result
+   * @param {string} toolName - The tool name the client called
+   * @param {number|null} maxBytes - The size limit
+   * @param {string} [sessionId] - The session the full result is kept for
+   * @returns {Object} - The result, or a truncated copy linking to the full result
+   */
+  #limitResultSize(result, toolName, maxBytes, sessionId) {
+    const size = getResultSize(result);
+    if (!maxBytes || size <= maxBytes) {
+      return result;
+    }
+
+    const stored = this.#resultStore.add(resultToText(result), { pageSize: maxBytes, tool: toolName, session: sessionId });
+    console.info(`Result of ${toolName} is ${size} bytes, truncated to ${maxBytes} and stored as ${stored.uri}`);
+
+    return {
+      ...result,
+      content: [
+        ...truncateContent(result.content, maxBytes),
+        {
+          type: 'text',
+          text: `[Result truncated to ${maxBytes} of ${size} bytes. The full result is at ${stored.uri} ` +
+            `in ${stored.pages} page(s); read it with ReadResource, adding ?page=2, ?page=3 and so on for later pages.]`
+        },
+        {
+          type: 'resource_link',
+          uri: stored.uri,
+          name: `result-${stored.id}`,
+          description: `Full result of ${toolName} (${stored.pages} page(s))`,
+          mimeType: 'text/plain',
+          size: stored.size
+        }
+      ]
+    };
+  }
+
+  /**
+   * Get the rate limiters that apply to a tool call, narrowest first
+   * @private
+   * @param {string} serverName - The server name
+   * @param {string} toolName - The upstream tool name
+   * @param {Object} [override] - The tool's override from the server config
+   * @returns {Object[]} - `{scope, serverName, limiter}` for the tool and the server, where configured
+   */
+  #getRateLimiters(serverName, toolName, override) {
+    const limits = [
+      ['tool', `tool:${serverName}/${toolName}`, override?.rateLimit],
+      ['server', `server:${serverName}`, this.#serverConfigs.get(serverName)?.rateLimit]
+    ];
+
+    return limits
+      .filter(([, , settings]) => hasRateLimit(settings))
+      .map(([scope, key, settings]) => {
+        if (!this.#rateLimiters.has(key)) {
+          this.#rateLimiters.set(key, {
+            scope,
+            serverName,
+            limiter: new RateLimiter(settings, () => this.#reportQueueDepth(serverName))
+          });
+        }
+        return this.#rateLimiters.get(key);
+      });
+  }
+
+  /**
+   * Wait for a turn under every rate limit that applies to a tool call
+   * @private
+   * @param {string} serverName - The server name
+   * @param {string} toolName - The upstream tool name
+   * @param {Object} [override] - The tool's override from the server config
+   * @param {AbortSignal} [signal] - Aborts the wait when the downstream client cancels
+   * @returns {Promise<Object>} - `{release}` once the call may start, or `{scope, retryAfterMs}` if a queue is full
+   */
+  async #acquireRateLimits(serverName, toolName, override, signal) {
+    const releases = [];
+    const release = () => releases.forEach(done => done());
+
+    try {
+      for (const { scope, limiter } of this.#getRateLimiters(serverName, toolName, override)) {
+        const done = await limiter.acquire(signal);
+        if (!done) {
+          release();
+          return { scope, retryAfterMs: limiter.getRetryAfterMs() };
+        }
+        releases.push(done);
+      }
+    } catch (error) {
+      release();
+      throw error;
+    }
+
+    return { release };
+  }
+
+  /**
+   * Record how many of a server's calls are waiting under rate limits on its instance
+   * @private
+   * @param {string} serverName - The server name
+   */
+  #reportQueueDepth(serverName) {
+    const instanceId = this.#instanceIds.get(serverName);
+    if (!instanceId) {
+      return;
+    }
+
+    let queueDepth = 0;
+    for (const entry of this.#rateLimiters.values()) {
+      if (entry.serverName === serverName) {
+        queueDepth += entry.limiter.queued;
+      }
+    }
+
+    if (instanceManager.getInstance(instanceId)?.queueDepth !== queueDepth) {
+      instanceManager.updateInstanceQueueDepth(instanceId, queueDepth);
+    }
+  }
+
+  /**
+   * Summarize a server's tools for the instance manager
+   * @private
+   * @param {Object[]} tools - The server's tools
+   * @returns {Object} - MCP details for the instance record
+   */
+  #buildMcpDetails(tools) {
+    return {
+      toolCount: tools.length,
+      toolTypes: [...new Set(tools.map(t => t.type || 'unknown'))],
+      capabilities: {
+        toolNames: tools.map(t => t.name).filter(Boolean)
+      }
+    };
+  }
+
+  /**
+   * Register an upstream server with the instance manager
+   * @private
+   * @param {Object} server - The server configuration
+   * @param {string} connectionType - 'stdio', 'http' or 'sse'
+   * @param {Object} target - Transport target from #resolveStdioCommand or #resolveRemoteEndpoint
+   * @param {Object} transport - The client transport
+   * @param {Object|null} mcpDetails - Summary of the server's tools
+   * @returns {string} - The instance ID
+   */
+  #registerServerInstance(server, connectionType, target, transport, mcpDetails) {
+    // Include filterInfo in the server config if applicable
+    const serverConfig = {
+      ...server,
+      toolFilters: this.#toolFilters || [],
+      serverFilters: this.#serverFilters || [],
+      toolboxFilters: this.#toolboxFilters || []
+    };
+
+    // Initialize with no PID, we'll update it later if it becomes available
+    return instanceManager.registerInstance(
+      null,
+      target.serverPath,
+      server.name,
+      'cli',
+      JSON.stringify(serverConfig),
+      target.contextInfo,
+      connectionType,
+      transport,
+      mcpDetails
+    );
+  }
+
+  /**
+   * Determine how to connect to a configured server
+   * @private
+   * @param {Object} server - The server configuration
+   * @returns {string} - 'stdio', 'http' or 'sse'
+   */
+  #getConnectionType(server) {
+    const type = (server.type || '').toLowerCase();
+
+    if (type === 'sse') {
+      return 'sse';
+    }
+
+    if (type === 'http' || type === 'streamable-http' || (!server.command && server.url)) {
+      return 'http';
+    }
+
+    return 'stdio';
+  }
+
+  /**
+   * Resolve the command line for a stdio server
+   * @private
+   * @param {Object} server - The server configuration
+   * @returns {Object|null} - Transport target, or null if the server should be skipped
+   */
+  #resolveStdioCommand(server) {
+    // Extract command, args, and env from the server configuration
+    const { command, args = [], env = {} } = server;
+
+    if (!command) {
+      console.error(`Missing command for server: ${server.name}`);
+      return null;
+    }
+
+    // Parse the command string to handle space-separated arguments
+    const [cmd, ...cmdArgs] = command.split(' ');
+    const allArgs = [...cmdArgs, ...(Array.isArray(args) ? args : [])];
+
+    console.info(`Using command: ${cmd}, args: ${allArgs.join(' ') || 'none'}, env: ${Object.keys(env || {}).join(', ') || 'none'}`);
+
+    // Skip if the command is trying to run this same script to avoid infinite recursion
+    if (cmd === 'mcpz' || (cmd === 'node' && allArgs.some(arg => arg && (arg.includes('mcpz') || arg.includes('server.js'))))) {
+      console.info(`Skipping self-reference to mcpz for ${server.name}`);
+      return null;
+    }
+
+    return {
+      command: cmd,
+      args: allArgs,
+      env: env || {},
+      serverPath: cmd,
+      contextInfo: {
+        args: allArgs,
+        env: env || {},
+        cwd: process.cwd()
+      }
+    };
+  }
+
+  /**
+   * Resolve the URL and headers for a remote (HTTP or SSE) server
+   * @private
+   * @param {Object} server - The server configuration
+   * @returns {Object|null} - Transport target, or null if the server should be skipped
+   */
+  #resolveRemoteEndpoint(server) {
+    if (!server.url) {
+      console.error(`Missing url for server: ${server.name}`);
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(server.url);
+    } catch (error) {
+      console.error(`Invalid url for server ${server.name}: ${error.message}`);
+      return null;
+    }
+
+    const headers = server.headers && typeof server.headers === 'object' ? server.headers : {};
+
+    console.info(`Using url: ${url.href}, headers: ${Object.keys(headers).join(', ') || 'none'}`);
+
+    return {
+      url,
+      headers,
+      serverPath: url.href,
+      contextInfo: {
+        url: url.href,
+        // Header values usually carry credentials, so only the names are recorded
+        headers: Object.keys(headers),
+        cwd: process.cwd()
+      }
+    };
+  }
+
+  /**
+   * Create the client transport for a server
+   * @private
+   * @param {string} connectionType - 'stdio', 'http' or 'sse'
+   * @param {Object} target - Transport target from #resolveStdioCommand or #resolveRemoteEndpoint
+   * @returns {Object} - The transport instance
+   */
+  #createClientTransport(connectionType, target) {
+    if (connectionType === 'http') {
+      return new StreamableHTTPClientTransport(target.url, {
+        requestInit: { headers: target.headers }
+      });
+    }
+
+    if (connectionType === 'sse') {
+      return new SSEClientTransport(target.url, {
+        requestInit: { headers: target.headers }
+      });
+    }
+
+    return new StdioClientTransport({
+      command: target.command,
+      args: target.args,
+      env: { ...process.env, ...target.env },
+      cwd: process.cwd(),
+      stderr: 'pipe'
+    });
+  }
+
+  /**
+   * Poll a stdio transport until its process PID is available
+   * @private
+   * @param {string} instanceId - The instance to update
+   * @param {Object} transport - The stdio transport
+   */
+  #trackTransportPid(instanceId, transport) {
+    // Set up a listener to get the PID once it becomes available
+    const checkForPid = setInterval(() => {
+      try {
+        const currentPid = transport.process?.pid;
+        if (currentPid) {
+          instanceManager.updateInstancePid(instanceId, currentPid);
+          console.info(`Updated instance ${instanceId} with real PID ${currentPid}`);
+          clearInterval(checkForPid);
+        }
+      } catch (error) {
+        console.debug(`Error checking for PID: ${error.message}`);
+      }
+    }, 500); // Check every 500ms
+    checkForPid.unref?.();
+
+    // Clean up the interval after 10 seconds if we still don't have a PID
+    const stopChecking = setTimeout(() => {
+      clearInterval(checkForPid);
+      console.info(`Stopped checking for PID for instance ${instanceId}`);
+    }, 10000);
+    stopChecking.unref?.();
+  }
+
+  /**
+   * Get the cached tools for a client, fetching them if the client was registered externally
+   * @private
+   * @param {string} clientId - The ID of the client
+   * @param {Object} client - The MCP client instance
+   * @returns {Promise<Object[]>} - The client's tools
+   */
+  async #getCachedTools(clientId, client) {
+    if (!this.#toolCache.has(clientId)) {
+      const tools = client.getServerCapabilities()?.tools
+        ? await this.#listAllPages(params => client.listTools(params), 'tools')
+        : [];
+      this.#toolCache.set(clientId, tools);
+    }
+
+    return this.#toolCache.get(clientId);
+  }
+
+  /**
+   * Update the tool cache after an upstream server reports its tools changed
+   * @private
+   * @param {string} serverName - The upstream server name
+   * @param {Error|null} error - Error from refreshing the tool list
+   * @param {Object[]|null} tools - The refreshed tools
+   */
+  #onUpstreamToolsChanged(serverName, error, tools) {
+    if (error) {
+      console.error(`Error refreshing tools from ${serverName}: ${error.message}`);
+      return;
+    }
+
+    this.#toolCache.set(serverName, tools || []);
+    this.#writeManifest(serverName, this.#toolCache.get(serverName));
+    console.info(`Refreshed tools from ${serverName}: ${this.#toolCache.get(serverName).length} tools`);
+
+    this.#notifyToolListChanged();
+  }
+
+  /**
+   * Get the downstream MCP servers that currently have a connected client
+   * @private
+   * @returns {Server[]} - The stdio server and/or HTTP session servers
+   */
+  #getDownstreamServers() {
+    const servers = [this.#server, ...Array.from(this.#sessions.values(), session => session.server)];
+    return servers.filter(server => server.transport);
+  }
+
+  /**
+   * Tell every connected downstream client that the tool list changed
+   * @private
+   */
+  #notifyToolListChanged() {
+    for (const server of this.#getDownstreamServers()) {
+      server.sendToolListChanged().catch(error => {
+        console.error(`Error sending tools/list_changed: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Register a client with the MCP server
+   * @param {string} clientId - The ID of the client
+   * @param {Object} client - The MCP client instance
+   */
+  registerClient(clientId, client) {
+    console.info(`Registering client: ${clientId}`);
+    this.#mcpClients.set(clientId, client);
+  }
+
+  /**
+   * Create an empty namespace using the configured separator
+   * @private
+   * @returns {ToolNamespace} - The namespace
+   */
+  #createNamespace() {
+    return new ToolNamespace({ separator: this.#namespaceSeparator });
+  }
+
+  /**
+   * Order server names as they appear in the config, so exposed names do not depend on connection order
+   * @private
+   * @param {Iterable<string>} serverNames - The server names
+   * @returns {string[]} - The ordered names
+   */
+  #inConfigOrder(serverNames) {
+    const order = [...this.#serverConfigs.keys()];
+    const rank = name => (order.includes(name) ? order.indexOf(name) : order.length);
+
+    return [...serverNames].sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Rebuild the mapping from exposed tool names to local and cached upstream tools
+   * @private
+   * @returns {ToolNamespace} - The new namespace
+   */
+  #buildToolNamespace() {
+    const namespace = this.#createNamespace();
+
+    // Built-in tools keep the names they are documented under, whatever the separator
+    const localTools = this.#toolRegistry.list();
+    for (const tool of localTools.filter(tool => tool.builtIn)) {
+      namespace.addFixed('mcpz', tool.name, `mcpz_${tool.name}`);
+    }
+    for (const tool of localTools.filter(tool => !tool.builtIn)) {
+      namespace.add('mcpz', tool.name);
+    }
+
+    for (const serverName of this.#inConfigOrder(this.#toolCache.keys())) {
+      const overrides = getToolOverrides(this.#serverConfigs.get(serverName));
+
+      for (const tool of this.#toolCache.get(serverName)) {
+        namespace.add(serverName, tool.name, getToolAlias(tool, overrides[tool.name]));
+      }
+    }
+
+    this.#toolNamespace = namespace;
+    return namespace;
+  }
+
+  /**
+   * Log tool names that clashed after cleaning and what they were renamed to
+   * @private
+   * @param {ToolNamespace} namespace - The namespace to report on
+   */
+  #reportCollisions(namespace) {
+    for (const { name, existing, renamed } of namespace.collisions) {
+      console.error(
+        `Tool name collision: ${renamed.serverName}/${renamed.name} and ${existing.serverName}/${existing.name} ` +
+        `both map to "${name}", exposing ${renamed.serverName}/${renamed.name} as "${renamed.exposedName}"`
+      );
+    }
+  }
+
+  /**
+   * Find the server and original name behind an exposed tool or prompt name
+   * @private
+   * @param {string} name - The exposed name
+   * @param {string} kind - What is being resolved ('tool' or 'prompt'), used in errors
+   * @returns {Promise<{clientId: string, originalName: string, client: Object}>} - The routing information
+   */
+  async #resolveNamespacedName(name, kind) {
+    const { clientId, originalName } = await this.#resolveNamespaceEntry(name, kind);
+    return { clientId, originalName, client: await this.#getRoutedClient(clientId) };
+  }
+
+  /**
+   * Find the server and original name behind an exposed name, without starting the server
+   * @private
+   * @param {string} name - The exposed name
+   * @param {string} kind - What is being resolved ('tool' or 'prompt'), used in errors
+   * @returns {Promise<{clientId: string, originalName: string}>} - The server and original name
+   */
+  async #resolveNamespaceEntry(name, kind) {
+    let entry = (kind === 'prompt' ? this.#promptNamespace : this.#toolNamespace)?.resolve(name);
+
+    // The client may call a name it has not listed since our last refresh
+    if (!entry) {
+      if (kind === 'prompt') {
+        await this.#listUpstreamPrompts();
+        entry = this.#promptNamespace.resolve(name);
+      } else {
+        entry = this.#buildToolNamespace().resolve(name);
+      }
+    }
+
+    if (!entry) {
+      console.error(`Unknown ${kind}: ${name}`);
+      throw new McpError(
+        ErrorCode.MethodNotFound,
+        `Unknown ${kind}: ${name}`
+      );
+    }
+
+    const { serverName: clientId, name: originalName } = entry;
+    console.info(`Routing ${kind} to client: ${clientId}, ${kind}: ${originalName}`);
+    return { clientId, originalName };
+  }
+
+  /**
+   * Get the client for a server an exposed name resolved to
+   * @private
+   * @param {string} clientId - The server name, or 'mcpz' for local registry tools
+   * @returns {Promise<Object|null>} - The client, or null for local registry tools
+   */
+  async #getRoutedClient(clientId) {
+    // Local registry tools run in mcpz itself
+    if (clientId === 'mcpz') {
+      return null;
+    }
+
+    // Find the client, starting it first if it is a lazy server
+    const client = await this.#getClient(clientId);
+    if (!client) {
+      console.error(`Client not found: ${clientId}`);
+      throw new McpError(
+        ErrorCode.MethodNotFound,
+        `Client not found: ${clientId}`
+      );
+    }
+
+    return client;
+  }
+
+  /**
+   * List the prompts of every upstream server under their exposed names
+   * @private
+   * @returns {Promise<Object[]>} - The prompts
+   */
+  async #listUpstreamPrompts() {
+    const namespace = this.#createNamespace();
+    const allPrompts = [];
+
+    for (const clientId of this.#inConfigOrder(this.#mcpClients.keys())) {
+      const client = this.#mcpClients.get(clientId);
+
+      // Only ask servers that advertise prompt support
+      if (!client.getServerCapabilities()?.prompts) {
+        continue;
+      }
+
+      try {
+        const prompts = await this.#listAllPages(params => client.listPrompts(params), 'prompts');
+
+        // Namespace prompts the same way as tools to avoid conflicts
+        allPrompts.push(...prompts.map(prompt => ({
+          ...prompt,
+          name: namespace.add(clientId, prompt.name),
+          description: `[${clientId}] ${prompt.description || 'No description'}`
+        })));
+        console.info(`Added ${prompts.length} prompts from client '${clientId}'`);
+      } catch (error) {
+        console.error(`Error fetching prompts from client ${clientId}: ${error.message}`);
+      }
+    }
+
+    this.#promptNamespace = namespace;
+    return allPrompts;
+  }
+
+  /**
+   * Append a finished tool call to the audit log
+   * @private
+   * @param {Object} call - What was called, by whom and when
+   * @param {Object|null} result - The result returned to the client
+   * @param {Error} [error] - The error, if the call failed
+   */
+  #recordToolCall(call, result, error) {
+    if (!this.#auditRules) {
+      return;
+    }
+
+    const entry = {
+      timestamp: call.timestamp,
+      session: call.session,
+      server: call.server,
+      tool: call.tool,
+      name: call.name,
+      arguments: redactor.redactValue(redactArguments(call.arguments ?? {}, this.#auditRules)),
+      durationMs: Date.now() - call.startedAt,
+      resultBytes: result ? Buffer.byteLength(JSON.stringify(result)) : 0,
+      isError: Boolean(error || result?.isError)
+    };
+    if (error) {
+      entry.error = redactor.redact(error.message);
+    }
+
+    appendAuditEntry(entry);
+  }
+
+  /**
+   * Fetch every page of a paginated list request
+   * @private
+   * @param {Function} fetchPage - Called with the page params, returns the list response
+   * @param {string} key - The response property holding the items
+   * @returns {Promise<Object[]>} - The items from all pages
+   */
+  async #listAllPages(fetchPage, key) {
+    const items = [];
+    let cursor;
+
+    do {
+      const response = await fetchPage(cursor ? { cursor } : undefined);
+      items.push(...(response[key] || []));
+      cursor = response.nextCursor;
+    } while (cursor);
+
+    return items;
+  }
+
+  /**
+   * Answer a search_tools call in discovery mode
+   * @private
+   * @param {Object} [args] - The call arguments
+   * @returns {Promise<Object>} - The tool result listing matching tools
+   */
+  async #searchTools(args = {}) {
+    const tools = await this.#listExposedTools();
+    const matches = searchTools(tools, args.query, args.limit);
+    console.info(`Found ${matches.length} tools matching "${args.query ?? ''}"`);
+
+    const found = matches.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema
+    }));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: found.length > 0
+            ? JSON.stringify(found, null, 2)
+            : `No tools match "${args.query ?? ''}". Try fewer or different words.`
+        }
+      ]
+    };
+  }
+
+  /**
+   * List every tool the client can call, under its exposed name
+   * @private
+   * @returns {Promise<Object[]>} - Local and upstream tools, after overrides and tool filters
+   */
+  async #listExposedTools() {
+    console.info(`Number of registered clients: ${this.#mcpClients.size}`);
+    console.info(`Client IDs: ${Array.from(this.#mcpClients.keys()).join(', ')}`);
+
+    // Fetch tools for clients registered without going through startup
+    for (const [clientId, client] of this.#mcpClients.entries()) {
+      try {
+        await this.#getCachedTools(clientId, client);
+      } catch (error) {
+        console.error(`Error fetching tools from client ${clientId}: ${error.message}`);
+      }
+    }
+
+    const namespace = this.#buildToolNamespace();
+
+    // Array to hold all tools from MCP servers
+    const allTools = [];
+
+    // First, add all tools from our own registry
+    // Only the tool's interface is listed, not the command that runs it
+    const localTools = this.#toolRegistry.list().map(tool => ({
+      name: namespace.getExposedName('mcpz', tool.name),
+      originalName: tool.name,
+      description: tool.description || 'No description',
+      inputSchema: tool.inputSchema || { type: 'object', properties: {} }
+    }));
+    allTools.push(...localTools);
+    console.info(`Added ${localTools.length} tools from local registry under 'mcpz'`);
+
+    // Then every connected MCP client, plus lazy servers that have not been started yet
+    for (const clientId of this.#inConfigOrder(this.#toolCache.keys())) {
+      const tools = this.#toolCache.get(clientId);
+      const overrides = getToolOverrides(this.#serverConfigs.get(clientId));
+
+      if (tools.length > 0) {
+        allTools.push(...tools.map(tool => {
+          const listed = applyToolOverride(tool, overrides[tool.name]);
+
+          return {
+            ...listed,
+            name: namespace.getExposedName(clientId, tool.name),
+            description: `[${clientId}] ${listed.description || 'No description'}`
+          };
+        }));
+        console.info(`Added ${tools.length} tools from client '${clientId}'`);
+      }
+    }
+
+    // Apply tool filtering if specified
+    let filteredTools = allTools;
+    if (this.#toolFilters) {
+      console.info(`Filtering to tools: ${this.#toolFilters.join(', ')}`);
+      
+      // Filters match the original or aliased tool name without the server namespace
+      filteredTools = allTools.filter(tool => {
+        const { serverName, name } = namespace.resolve(tool.name);
+        const override = getToolOverrides(this.#serverConfigs.get(serverName))[name];
+
+        return this.#toolFilters.includes(name) || this.#toolFilters.includes(getToolAlias({ name }, override));
+      });
+      
+      console.info(`Filtered to ${filteredTools.length} tools out of ${allTools.length} total`);
+    } else {
+      console.info(`Returning ${allTools.length} tools from all MCP servers`);
+    }
+    
+    return filteredTools;
+  }
+
+  /**
+   * Set up request handlers
+   * @private
+   * @param {Server} server - The MCP server to register handlers on
+   */
+  #setupRequestHandlers(server) {
+    // Every handler waits for the upstream servers, which start after the client initializes
+    // and are reconnected when a client supporting more connects
+    const handle = (schema, handler) => server.setRequestHandler(schema, async (request, extra) => {
+      await this.#waitForUpstreamServers();
+      await this.#capabilityRefresh;
+      return handler(request, extra);
+    });
+
+    // Handler for listing tools
+    handle(ListToolsRequestSchema, async () => {
+      console.info('Handling ListTools request');
+
+      // Discovery mode lists only the tools for finding and calling the others
+      if (this.#discovery) {
+        const { search, call } = getDiscoveryTools(this.#namespaceSeparator);
+        return { tools: [search, call] };
+      }
+
+      return { tools: await this.#listExposedTools() };
+    });
+
+    // Calls a tool by its exposed name
+    const callTool = async (request, extra) => {
+      const toolName = request.params.name;
+      console.info(`Handling CallTool request for tool: ${toolName}`);
+
+      // Resolve without starting lazy servers, so blocked calls never spawn one
+      const { clientId, originalName: originalToolName } = await this.#resolveNamespaceEntry(toolName, 'tool');
+
+      const override = getToolOverrides(this.#serverConfigs.get(clientId))[originalToolName];
+      const timeout = this.#getCallTimeout(clientId, override);
+      const call = {
+        timestamp: new Date().toISOString(),
+        startedAt: Date.now(),
+        session: extra.sessionId || `stdio-${process.pid}`,
+        server: clientId,
+        tool: originalToolName,
+        name: toolName,
+        arguments: request.params.arguments
+      };
+
+      const decision = this.#policy.evaluate(
+        this.#serverConfigs.get(clientId) ?? { name: clientId },
+        { tool: originalToolName, name: toolName, arguments: request.params.arguments }
+      );
+      if (!decision.allowed) {
+        console.error(`Tool ${toolName} blocked by policy: ${decision.reason}`);
+        const policyError = new McpError(
+          ErrorCode.InvalidRequest,
+          `Tool ${toolName} blocked by policy: ${decision.reason}`,
+          { reason: 'policy', server: clientId, tool: originalToolName, policy: decision.reason }
+        );
+        this.#recordToolCall(call, null, policyError);
+        throw policyError;
+      }
+
+      // Track tool usage
+      await this.#metricsManager.trackUsage(toolName);
+
+      // Built-in and local command tools run here rather than on an upstream server
+      if (clientId === 'mcpz') {
+        let result;
+        try {
+          result = await this.#callLocalTool(originalToolName, request.params.arguments || {}, {
+            signal: extra.signal,
+            timeout
+          });
+        } catch (error) {
+          this.#recordToolCall(call, null, error);
+          throw error;
+        }
+        const limited = this.#limitResultSize(this.#redactResult(result), toolName, this.#getMaxResultBytes(clientId, override), extra.sessionId);
+        this.#recordToolCall(call, limited);
+        return limited;
+      }
+
+      // Calls that fail before reaching the server, like one to a restarting server or
+      // one cancelled while waiting for a turn, are still recorded
+      let client;
+      let turn;
+      try {
+        // Find the client, starting it first if it is a lazy server
+        client = await this.#getRoutedClient(clientId);
+
+        // Wait for a turn under the server's and the tool's rate limits
+        turn = await this.#acquireRateLimits(clientId, originalToolName, override, extra.signal);
+      } catch (error) {
+        this.#recordToolCall(call, null, error);
+        throw error;
+      }
+      if (!turn.release) {
+        const seconds = Math.ceil(turn.retryAfterMs / 1000);
+        console.error(`Tool ${toolName} rejected by ${turn.scope} rate limit, retry in ${seconds}s`);
+        const rateLimitError = new McpError(
+          ErrorCode.InvalidRequest,
+          `Rate limit exceeded for ${turn.scope} ${turn.scope === 'tool' ? toolName : clientId}, retry in ${seconds}s`,
+          { reason: 'rate_limited', server: clientId, tool: originalToolName, retryAfterMs: turn.retryAfterMs }
+        );
+        this.#recordToolCall(call, null, rateLimitError);
+        throw rateLimitError;
+      }
+
+      try {
+        console.info(`Forwarding tool call to client ${clientId} for tool ${originalToolName}`);
+
+        // Forward the tool call to the original client, dropping any properties hidden from it
+        const payload = {
+          name: originalToolName,
+          arguments: stripHiddenArguments(request.params.arguments, override)
+        };
+        if (request.params._meta) {
+          payload._meta = request.params._meta;
+        }
 
-        // Call the tool
-        const result = await client.callTool(payload);
+        // Call the tool, cancelling it upstream if it times out or the downstream client cancels
+        const options = { signal: extra.signal, timeout };
+
+        // Relay upstream progress under the downstream client's own token; progress also keeps the call alive
+        const progressToken = request.params._meta?.progressToken;
+        if (progressToken !== undefined) {
+          options.onprogress = progress => {
+            extra.sendNotification({
+              method: 'notifications/progress',
+              params: { ...progress, progressToken }
+            }).catch(error => {
+              console.error(`Error forwarding progress for ${toolName}: ${error.message}`);
+            });
+          };
+          options.resetTimeoutOnProgress = true;
+        }
+
+        const result = await this.#withActiveCall(
+          clientId,
+          () => client.callTool(payload, undefined, options),
+          { server, extra }
+        );
 
         if (result.error) {
           console.error(`Error from client ${clientId}: ${JSON.stringify(result.error)}`);
@@ -1163,12 +2892,28 @@ class McpServer {
         }
 
         console.info(`Tool execution successful: ${originalToolName}`);
-        return result;
+        const limited = this.#limitResultSize(this.#redactResult(result), toolName, this.#getMaxResultBytes(clientId, override), extra.sessionId);
+        this.#recordToolCall(call, limited);
+        return limited;
       } catch (error) {
-        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (error instanceof McpError && error.code === ErrorCode.RequestTimeout && !extra.signal.aborted) {
+          console.error(`Tool ${toolName} timed out after ${timeout}ms`);
+          const timeoutError = new McpError(
+            ErrorCode.RequestTimeout,
+            `Tool ${toolName} timed out after ${timeout}ms`,
+            { reason: 'timeout', server: clientId, tool: originalToolName, timeoutMs: timeout }
+          );
+          this.#recordToolCall(call, null, timeoutError);
+          throw timeoutError;
+        }
+
+        // A call cut off by a crash reports the restart rather than the closed connection
+        const restartError = this.#getRestartError(clientId);
+        const errorMessage = restartError ? restartError.message :
+          error instanceof Error ? error.message : String(error);
         console.error(`Tool execution error: ${errorMessage}`);
 
-        return {
+        const errorResult = this.#redactResult({
           content: [
             {
               type: 'text',
@@ -1176,12 +2921,81 @@ class McpServer {
             },
           ],
           isError: true,
-        };
+        });
+        this.#recordToolCall(call, errorResult, new Error(errorMessage));
+        return errorResult;
+      } finally {
+        turn.release();
+      }
+    };
+
+    // Handler for calling tools
+    handle(CallToolRequestSchema, async (request, extra) => {
+      if (this.#discovery) {
+        const name = request.params.name;
+        const { search, call } = getDiscoveryTools(this.#namespaceSeparator);
+
+        if (name === search.name) {
+          return this.#searchTools(request.params.arguments);
+        }
+
+        // Run the named tool as if the client had called it directly
+        if (name === call.name) {
+          const target = request.params.arguments?.name;
+          if (typeof target !== 'string' || !target) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `${name} needs the name of the tool to run`
+            );
+          }
+
+          return callTool({
+            ...request,
+            params: { ...request.params, name: target, arguments: request.params.arguments.arguments ?? {} }
+          }, extra);
+        }
+      }
+
+      return callTool(request, extra);
+    });
+
+    // Handler for listing prompts
+    handle(ListPromptsRequestSchema, async () => {
+      console.info('Handling ListPrompts request');
+
+      const allPrompts = await this.#listUpstreamPrompts();
+
+      console.info(`Returning ${allPrompts.length} prompts from all MCP servers`);
+      return { prompts: allPrompts };
+    });
+
+    // Handler for getting a prompt
+    handle(GetPromptRequestSchema, async (request) => {
+      const promptName = request.params.name;
+      console.info(`Handling GetPrompt request for prompt: ${promptName}`);
+
+      const { clientId, originalName, client } = await this.#resolveNamespacedName(promptName, 'prompt');
+
+      try {
+        return await client.getPrompt({
+          ...request.params,
+          name: originalName
+        });
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+
+        console.error(`Error getting prompt from client ${clientId}: ${error.message}`);
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Error from client ${clientId}: ${error.message}`
+        );
       }
     });
 
     // Handler for listing resources
-    this.#server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    handle(ListResourcesRequestSchema, async (request, extra) => {
       console.info('Handling resources list request');
 
       const resources = [];
@@ -1199,11 +3013,42 @@ class McpServer {
         console.info(`Added ${this.#loadedSkills.length} skill resources`);
       }
 
+      // Add this session's tool results that were too large to return in full
+      for (const stored of this.#resultStore.list(extra.sessionId)) {
+        resources.push({
+          uri: stored.uri,
+          name: `result-${stored.id}`,
+          description: `Full result of ${stored.tool} (${stored.size} bytes, ${stored.pages} page(s))`,
+          mimeType: 'text/plain',
+          size: stored.size
+        });
+      }
+
+      // Add resources from upstream servers under namespaced URIs
+      for (const [clientId, client] of this.#mcpClients.entries()) {
+        if (!client.getServerCapabilities()?.resources) {
+          continue;
+        }
+
+        try {
+          const upstreamResources = await this.#listAllPages(params => client.listResources(params), 'resources');
+
+          resources.push(...upstreamResources.map(resource => ({
+            ...resource,
+            uri: toUpstreamResourceUri(clientId, resource.uri),
+            description: `[${clientId}] ${resource.description || resource.name}`
+          })));
+          console.info(`Added ${upstreamResources.length} resources from client '${clientId}'`);
+        } catch (error) {
+          console.error(`Error fetching resources from client ${clientId}: ${error.message}`);
+        }
+      }
+
       return { resources };
     });
 
     // Handler for reading resources
-    this.#server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    handle(ReadResourceRequestSchema, async (request, extra) => {
       const uri = request.params.uri;
       console.info(`Handling read resource request for: ${uri}`);
 
@@ -1221,48 +3066,341 @@ class McpServer {
         const skillName = match[1];
         const skill = this.#loadedSkills.find(s => s.name === skillName);
 
-        if (!skill) {
-          throw new McpError(
-            ErrorCode.InvalidRequest,
-            `Skill not found: ${skillName}`
-          );
-        }
+        if (!skill) {
+          throw new McpError(
+            ErrorCode.InvalidRequest,
+            `Skill not found: ${skillName}`
+          );
+        }
+
+        // Get the full skill instructions
+        const { getSkillInstructions } = await import('./utils/skills.js');
+        const skillsDir = path.join(os.homedir(), '.mcpz', 'skills');
+        const instructions = getSkillInstructions(skillName, skillsDir);
+
+        if (!instructions) {
+          throw new McpError(
+            ErrorCode.InternalError,
+            `Failed to load instructions for skill: ${skillName}`
+          );
+        }
+
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'text/markdown',
+              text: instructions
+            }
+          ]
+        };
+      }
+
+      // Check if this is a page of a truncated tool result
+      if (uri.startsWith(RESULT_URI_PREFIX)) {
+        const page = this.#resultStore.read(uri, extra.sessionId);
+        if (!page) {
+          throw new McpError(
+            ErrorCode.InvalidRequest,
+            `Result not found, expired or past its last page: ${uri}`
+          );
+        }
+
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'text/plain',
+              text: page.text
+            }
+          ],
+          _meta: { page: page.page, pages: page.pages }
+        };
+      }
+
+      // Check if this is a resource from an upstream server
+      const upstream = parseUpstreamResourceUri(uri);
+      if (upstream) {
+        const client = await this.#getClient(upstream.serverName);
+        if (!client) {
+          throw new McpError(
+            ErrorCode.InvalidRequest,
+            `Client not found: ${upstream.serverName}`
+          );
+        }
+
+        const result = await client.readResource({
+          ...request.params,
+          uri: upstream.uri
+        });
+
+        return {
+          ...result,
+          contents: (result.contents || []).map(content => ({
+            ...content,
+            uri: toUpstreamResourceUri(upstream.serverName, content.uri)
+          }))
+        };
+      }
+
+      // Not a recognized resource
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `Unknown resource URI: ${uri}`
+      );
+    });
+
+    // Handler for listing resource templates
+    handle(ListResourceTemplatesRequestSchema, async () => {
+      console.info('Handling resources templates list request');
+
+      const resourceTemplates = [];
+
+      for (const [clientId, client] of this.#mcpClients.entries()) {
+        if (!client.getServerCapabilities()?.resources) {
+          continue;
+        }
+
+        try {
+          const templates = await this.#listAllPages(params => client.listResourceTemplates(params), 'resourceTemplates');
+
+          // Template variables stay intact because the original template is appended verbatim
+          resourceTemplates.push(...templates.map(template => ({
+            ...template,
+            uriTemplate: toUpstreamResourceUri(clientId, template.uriTemplate),
+            description: `[${clientId}] ${template.description || template.name}`
+          })));
+          console.info(`Added ${templates.length} resource templates from client '${clientId}'`);
+        } catch (error) {
+          console.error(`Error fetching resource templates from client ${clientId}: ${error.message}`);
+        }
+      }
+
+      return { resourceTemplates };
+    });
+
+    // Handler for argument completion, routed to the server that owns the prompt or template
+    handle(CompleteRequestSchema, async (request) => {
+      const { ref } = request.params;
+      console.info(`Handling completion request for ${ref.type} ${ref.name || ref.uri}`);
+
+      let clientId;
+      let client;
+      let upstreamRef;
+
+      if (ref.type === 'ref/prompt') {
+        const resolved = await this.#resolveNamespacedName(ref.name, 'prompt');
+        ({ clientId, client } = resolved);
+        upstreamRef = { ...ref, name: resolved.originalName };
+      } else {
+        const upstream = parseUpstreamResourceUri(ref.uri);
+        if (!upstream) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `Unknown resource template URI: ${ref.uri}`
+          );
+        }
+
+        clientId = upstream.serverName;
+        client = await this.#getClient(clientId);
+        if (!client) {
+          throw new McpError(
+            ErrorCode.InvalidRequest,
+            `Client not found: ${clientId}`
+          );
+        }
+        upstreamRef = { ...ref, uri: upstream.uri };
+      }
+
+      // Servers without completion support simply have no suggestions
+      if (!client.getServerCapabilities()?.completions) {
+        return { completion: { values: [], hasMore: false } };
+      }
+
+      try {
+        return await client.complete({ ...request.params, ref: upstreamRef });
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+
+        console.error(`Error completing argument with client ${clientId}: ${error.message}`);
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Error from client ${clientId}: ${error.message}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Parse options, load registries and connect to upstream MCP servers.
+   * Shared by stdio mode (start) and HTTP mode (serve).
+   * @private
+   * @param {Object} options - Server options
+   * @param {string} connectionType - How downstream clients connect ('stdio' or 'http')
+   * @returns {Promise<void>}
+   */
+  async #prepare(options, connectionType) {
+    // Ensure directories exist
+    ensureDirectories();
+
+    // Clean up stale instances before starting
+    instanceManager.cleanupStaleInstances();
+    console.info('Cleaned up stale instances');
+
+    // Parse filters
+    this.#serverFilters = this.#parseFilters(options.server, options.servers);
+    this.#toolFilters = this.#parseFilters(options.tool, options.tools);
+
+    // Discovery mode exposes search and call meta-tools instead of every tool
+    this.#discovery = Boolean(options.discovery);
+
+    // Tool calls are audited unless turned off in config
+    const auditSettings = this.#settingsManager.getOption('audit', {});
+    this.#auditRules = auditSettings.enabled === false ? null : compileRedactionRules(auditSettings);
+
+    // Secrets are masked in console output, instance files, audit entries and tool results
+    const redaction = this.#settingsManager.getOption('redaction', {});
+    configureRedaction(this.#settingsManager.getServers(), redaction);
+    redactConsole();
+    this.#redactResults = redaction.toolResults !== false;
+
+    // Allow and deny rules checked before any tool call is forwarded
+    this.#policy = new PolicyEngine(this.#settingsManager.getOption('policy', {}));
+
+    // Separator placed between the server name and the tool name in exposed names
+    const separator = this.#settingsManager.getOption('toolNameSeparator', DEFAULT_SEPARATOR);
+    if (isValidSeparator(separator)) {
+      this.#namespaceSeparator = separator;
+    } else {
+      console.error(`Invalid toolNameSeparator "${separator}", using "${DEFAULT_SEPARATOR}"`);
+    }
+
+    // Support both --toolbox/--toolboxes (new) and --group/--groups (deprecated)
+    const toolboxOption = options.toolbox || options.group;
+    const toolboxesOption = options.toolboxes || options.groups;
+    this.#toolboxFilters = this.#parseFilters(toolboxOption, toolboxesOption);
+
+    // Warn if deprecated --group/--groups options are used
+    if (options.group || options.groups) {
+      console.warn('\x1b[33m[mcpz] Warning: --group/--groups is deprecated, please use --toolbox/--toolboxes instead\x1b[0m');
+    }
+
+    // Parse skill filters
+    this.#skillFilters = this.#parseFilters(options.skill, options.skills);
+
+    // If skill filters are specified, load the filtered skills
+    if (this.#skillFilters) {
+      console.info(`Filtering to skills: ${this.#skillFilters.join(', ')}`);
+
+      // Import the skills utility
+      const { listSkills } = await import('./utils/skills.js');
+
+      // Get skills directory
+      const skillsDir = path.join(os.homedir(), '.mcpz', 'skills');
+
+      // Load skills that match the filter
+      const allSkills = listSkills(skillsDir);
+      this.#loadedSkills = allSkills.filter(skill => this.#skillFilters.includes(skill.name));
+
+      console.info(`Loaded ${this.#loadedSkills.length} skills out of ${allSkills.length} available`);
+    }
+
+    // If toolbox filters are specified, expand them to server filters
+    if (this.#toolboxFilters) {
+      console.info(`Filtering to toolboxes: ${this.#toolboxFilters.join(', ')}`);
+
+      // Import the expandServerOrToolbox function
+      const { expandServerOrToolbox } = await import('./utils/config.js');
+
+      // Create a set to hold all server names after expansion
+      const expandedServerNames = new Set();
+
+      // Per-toolbox options such as lazy spawning, keyed by toolbox name
+      const toolboxSettings = this.#settingsManager.getOption('toolboxSettings', {});
+
+      // Expand each toolbox filter to server names
+      for (const filter of this.#toolboxFilters) {
+        try {
+          const expanded = expandServerOrToolbox(filter);
+          expanded.forEach(name => {
+            expandedServerNames.add(name);
+
+            // Remember which toolbox a server came from so its settings apply
+            if (toolboxSettings[filter] && !this.#toolboxOptions.has(name)) {
+              this.#toolboxOptions.set(name, toolboxSettings[filter]);
+            }
+          });
+        } catch (error) {
+          console.error(`Error expanding toolbox '${filter}': ${error.message}`);
+        }
+      }
+
+      // If we have server filters already, combine them with the expanded toolbox filters
+      if (this.#serverFilters) {
+        this.#serverFilters.forEach(server => expandedServerNames.add(server));
+      }
+
+      // Update server filters with the combined list
+      this.#serverFilters = expandedServerNames.size > 0 ? Array.from(expandedServerNames) : null;
+    }
+    
+    // Log filter information
+    if (this.#serverFilters) {
+      console.info(`Filtering to servers: ${this.#serverFilters.join(', ')}`);
+    }
+
+    if (this.#toolFilters) {
+      console.info(`Filtering to tools: ${this.#toolFilters.join(', ')}`);
+    }
 
-        // Get the full skill instructions
-        const { getSkillInstructions } = await import('./utils/skills.js');
-        const skillsDir = path.join(os.homedir(), '.mcpz', 'skills');
-        const instructions = getSkillInstructions(skillName, skillsDir);
+    if (this.#skillFilters) {
+      console.info(`Filtering to skills: ${this.#skillFilters.join(', ')}`);
+    }
 
-        if (!instructions) {
-          throw new McpError(
-            ErrorCode.InternalError,
-            `Failed to load instructions for skill: ${skillName}`
-          );
-        }
+    // Initialize the tool registry with built-in tools and local command tools from ~/.mcpz/tools
+    await this.#toolRegistry.load();
+
+    // Local tools can carry secrets in their env, like server configs
+    redactor.addValues(collectSecretValues(this.#toolRegistry.list(), {}, Array.isArray(redaction.secretKeys) ? redaction.secretKeys : []));
+
+    // Register this server instance with the actual process PID
+    const pid = process.pid;
+    const instanceId = instanceManager.registerInstance(
+      pid,
+      process.argv[0],
+      'mcpz-cli-server',
+      'cli',
+      JSON.stringify({
+        name: 'mcpz-cli-server',
+        version: CONFIG.server.version,
+        options
+      }),
+      {
+        args: process.argv.slice(1),
+        env: process.env,
+        cwd: process.cwd()
+      },
+      connectionType
+    );
+    console.info(`Registered self with instance ID: ${instanceId} and PID: ${pid}`);
 
-        return {
-          contents: [
-            {
-              uri,
-              mimeType: 'text/markdown',
-              text: instructions
-            }
-          ]
-        };
-      }
+    // Upstream servers are connected once the first client initializes, see #waitForUpstreamServers
+  }
 
-      // Not a recognized resource
-      throw new McpError(
-        ErrorCode.InvalidRequest,
-        `Unknown resource URI: ${uri}`
-      );
-    });
+  /**
+   * Prepare the server and connect it to a single downstream transport
+   * @param {Object} transport - The server transport, such as a StdioServerTransport
+   * @param {Object} [options] - Server options
+   * @returns {Promise<void>}
+   */
+  async connect(transport, options = {}) {
+    await this.#prepare(options, 'stdio');
 
-    // Handler for listing resource templates
-    this.#server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
-      console.info('Handling resources templates list request');
-      return { resourceTemplates: [] };
-    });
+    // Connect the server to the transport
+    console.info('Starting server...');
+    await this.#server.connect(transport);
   }
 
   /**
@@ -1272,135 +3410,189 @@ class McpServer {
    */
   async start(options = {}) {
     try {
-      // Ensure directories exist
-      ensureDirectories();
+      await this.connect(new StdioServerTransport(), options);
 
-      // Clean up stale instances before starting
-      instanceManager.cleanupStaleInstances();
-      console.info('Cleaned up stale instances');
+      console.info('Server started successfully');
+      console.info('Ready to handle requests');      
 
-      // Parse filters
-      this.#serverFilters = this.#parseFilters(options.server, options.servers);
-      this.#toolFilters = this.#parseFilters(options.tool, options.tools);
+      // Set up signal handlers for graceful shutdown
+      process.on('SIGINT', () => this.stop());
+      process.on('SIGTERM', () => this.stop());
+    } catch (error) {
+      console.error(`Failed to start server: ${error.message}`);
+      process.exit(1);
+    }
+  }
 
-      // Support both --toolbox/--toolboxes (new) and --group/--groups (deprecated)
-      const toolboxOption = options.toolbox || options.group;
-      const toolboxesOption = options.toolboxes || options.groups;
-      this.#toolboxFilters = this.#parseFilters(toolboxOption, toolboxesOption);
+  /**
+   * Serve the aggregated endpoint over Streamable HTTP
+   * @param {Object} options - Server options, plus port and host
+   * @returns {Promise<void>}
+   */
+  async serve(options = {}) {
+    try {
+      const port = Number.parseInt(options.port ?? CONFIG.http.port, 10);
+      const host = options.host || CONFIG.http.host;
 
-      // Warn if deprecated --group/--groups options are used
-      if (options.group || options.groups) {
-        console.warn('\x1b[33m[mcpz] Warning: --group/--groups is deprecated, please use --toolbox/--toolboxes instead\x1b[0m');
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${options.port}`);
       }
 
-      // Parse skill filters
-      this.#skillFilters = this.#parseFilters(options.skill, options.skills);
+      await this.#prepare(options, 'http');
 
-      // If skill filters are specified, load the filtered skills
-      if (this.#skillFilters) {
-        console.info(`Filtering to skills: ${this.#skillFilters.join(', ')}`);
+      this.#httpServer = http.createServer((req, res) => {
+        this.#handleHttpRequest(req, res, host, port);
+      });
 
-        // Import the skills utility
-        const { listSkills } = await import('./utils/skills.js');
-
-        // Get skills directory
-        const skillsDir = path.join(os.homedir(), '.mcpz', 'skills');
-
-        // Load skills that match the filter
-        const allSkills = listSkills(skillsDir);
-        this.#loadedSkills = allSkills.filter(skill => this.#skillFilters.includes(skill.name));
+      console.info('Starting server...');
+      await new Promise((resolve, reject) => {
+        this.#httpServer.once('error', reject);
+        this.#httpServer.listen(port, host, resolve);
+      });
 
-        console.info(`Loaded ${this.#loadedSkills.length} skills out of ${allSkills.length} available`);
-      }
+      console.info(`Server listening on http://${host}:${port}${CONFIG.http.endpoint}`);
 
-      // If toolbox filters are specified, expand them to server filters
-      if (this.#toolboxFilters) {
-        console.info(`Filtering to toolboxes: ${this.#toolboxFilters.join(', ')}`);
+      // Clients that crash or drop off never send DELETE, so idle sessions are closed here
+      this.#sessionSweepTimer = setInterval(() => this.#closeIdleSessions(), CONFIG.http.sessionSweepIntervalMs);
+      this.#sessionSweepTimer.unref();
+      console.info('Ready to handle requests');
 
-        // Import the expandServerOrToolbox function
-        const { expandServerOrToolbox } = await import('./utils/config.js');
+      // Set up signal handlers for graceful shutdown
+      process.on('SIGINT', () => this.stop());
+      process.on('SIGTERM', () => this.stop());
+    } catch (error) {
+      console.error(`Failed to start server: ${error.message}`);
+      process.exit(1);
+    }
+  }
 
-        // Create a set to hold all server names after expansion
-        const expandedServerNames = new Set();
+  /**
+   * Route an HTTP request to the session it belongs to, creating a session on initialize
+   * @private
+   * @param {http.IncomingMessage} req - The HTTP request
+   * @param {http.ServerResponse} res - The HTTP response
+   * @param {string} host - The host the server is bound to
+   * @param {number} port - The port the server is bound to
+   * @returns {Promise<void>}
+   */
+  async #handleHttpRequest(req, res, host, port) {
+    try {
+      const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      if (pathname !== CONFIG.http.endpoint) {
+        sendJsonRpcError(res, 404, ErrorCode.InvalidRequest, `Not found: ${pathname}`);
+        return;
+      }
 
-        // Expand each toolbox filter to server names
-        for (const filter of this.#toolboxFilters) {
-          try {
-            const expanded = expandServerOrToolbox(filter);
-            expanded.forEach(name => expandedServerNames.add(name));
-          } catch (error) {
-            console.error(`Error expanding toolbox '${filter}': ${error.message}`);
-          }
-        }
+      const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+      const sessionId = req.headers['mcp-session-id'];
 
-        // If we have server filters already, combine them with the expanded toolbox filters
-        if (this.#serverFilters) {
-          this.#serverFilters.forEach(server => expandedServerNames.add(server));
+      if (sessionId) {
+        const session = this.#sessions.get(sessionId);
+        if (!session) {
+          sendJsonRpcError(res, 404, ErrorCode.InvalidRequest, `Session not found: ${sessionId}`);
+          return;
         }
 
-        // Update server filters with the combined list
-        this.#serverFilters = expandedServerNames.size > 0 ? Array.from(expandedServerNames) : null;
-      }
-      
-      // Log filter information
-      if (this.#serverFilters) {
-        console.info(`Filtering to servers: ${this.#serverFilters.join(', ')}`);
+        this.#trackSessionRequest(session, res);
+        await session.transport.handleRequest(req, res, body);
+        return;
       }
 
-      if (this.#toolFilters) {
-        console.info(`Filtering to tools: ${this.#toolFilters.join(', ')}`);
+      if (req.method !== 'POST' || !isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, ErrorCode.InvalidRequest, 'Bad Request: No valid session ID provided');
+        return;
       }
 
-      if (this.#skillFilters) {
-        console.info(`Filtering to skills: ${this.#skillFilters.join(', ')}`);
+      const transport = await this.#createHttpSession(host, port);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      console.error(`Error handling HTTP request: ${error.message}`);
+
+      if (!res.headersSent) {
+        const isParseError = error instanceof SyntaxError;
+        sendJsonRpcError(
+          res,
+          isParseError ? 400 : 500,
+          isParseError ? ErrorCode.ParseError : ErrorCode.InternalError,
+          isParseError ? 'Parse error' : 'Internal server error'
+        );
       }
+    }
+  }
 
-      // Clear the tool registry
-      await this.#toolRegistry.clearTools();
+  /**
+   * Create an MCP server and transport for a new HTTP client session
+   * @private
+   * @param {string} host - The host the server is bound to
+   * @param {number} port - The port the server is bound to
+   * @returns {Promise<StreamableHTTPServerTransport>} - The session transport
+   */
+  async #createHttpSession(host, port) {
+    const server = this.#createServer();
+    const isLoopback = ['127.0.0.1', 'localhost', '::1'].includes(host);
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        this.#sessions.set(sessionId, { server, transport, openRequests: 0, lastActive: Date.now() });
+        console.info(`HTTP session started: ${sessionId} (${this.#sessions.size} active)`);
+      },
+      // Reject requests from other origins when only serving this machine
+      enableDnsRebindingProtection: isLoopback,
+      allowedHosts: isLoopback ? [`127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`] : undefined
+    });
 
-      // Initialize the tool registry
-      await this.#toolRegistry.load();
+    transport.onclose = () => {
+      if (transport.sessionId && this.#sessions.delete(transport.sessionId)) {
+        console.info(`HTTP session closed: ${transport.sessionId} (${this.#sessions.size} active)`);
+      }
+    };
 
-      // Register this server instance with the actual process PID
-      const pid = process.pid;
-      const instanceId = instanceManager.registerInstance(
-        pid,
-        process.argv[0],
-        'mcpz-cli-server',
-        'cli',
-        JSON.stringify({
-          name: 'mcpz-cli-server',
-          version: CONFIG.server.version,
-          options
-        }),
-        {
-          args: process.argv.slice(1),
-          env: process.env,
-          cwd: process.cwd()
-        },
-        'stdio'
-      );
-      console.info(`Registered self with instance ID: ${instanceId} and PID: ${pid}`);
+    await server.connect(transport);
+    return transport;
+  }
 
-      // Connect to MCP clients
-      await this.#connectToMcpClients();
+  /**
+   * Count a request as activity on its session until its response is finished
+   *
+   * A client listening on a GET stream keeps a request open, so it is not idle.
+   * @private
+   * @param {Object} session - The session
+   * @param {http.ServerResponse} res - The response to the request
+   */
+  #trackSessionRequest(session, res) {
+    session.openRequests++;
+    session.lastActive = Date.now();
 
-      // Create a stdio transport
-      const transport = new StdioServerTransport();
+    res.once('close', () => {
+      session.openRequests--;
+      session.lastActive = Date.now();
+    });
+  }
 
-      // Connect the server to the transport
-      console.info('Starting server...');
-      await this.#server.connect(transport);
+  /**
+   * Close HTTP sessions that have had no open request for longer than the idle timeout
+   * @private
+   */
+  async #closeIdleSessions() {
+    const timeout = this.#settingsManager.getOption('sessionIdleTimeoutMs', CONFIG.http.sessionIdleTimeoutMs);
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+      return;
+    }
 
-      console.info('Server started successfully');
-      console.info('Ready to handle requests');      
+    const now = Date.now();
+    for (const [sessionId, session] of this.#sessions) {
+      if (session.openRequests > 0 || now - session.lastActive < timeout) {
+        continue;
+      }
 
-      // Set up signal handlers for graceful shutdown
-      process.on('SIGINT', () => this.stop());
-      process.on('SIGTERM', () => this.stop());
-    } catch (error) {
-      console.error(`Failed to start server: ${error.message}`);
-      process.exit(1);
+      console.info(`Closing idle HTTP session: ${sessionId}`);
+      this.#sessions.delete(sessionId);
+      try {
+        await session.server.close();
+      } catch (error) {
+        console.error(`Error closing HTTP session ${sessionId}: ${error.message}`);
+      }
     }
   }
 
@@ -1410,51 +3602,338 @@ class McpServer {
    */
   async stop() {
     try {
-      console.info('Shutting down...');
-      
-      // Update server instance status
-      const instances = instanceManager.getInstancesByServer('mcpz-cli-server');
-      for (const instance of instances) {
-        if (instance.pid === process.pid) {
-          instanceManager.updateInstanceStatus(instance.id, 'stopped');
-          console.info(`Updated own instance ${instance.id} status to stopped`);
-        }
+      await this.close();
+      process.exit(0);
+    } catch (error) {
+      console.error(`Error during shutdown: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Shut down upstream servers and close every downstream connection, leaving the process running
+   * @returns {Promise<void>}
+   */
+  async close() {
+    console.info('Shutting down...');
+
+    // Upstream servers exiting during shutdown must not be restarted
+    this.#shuttingDown = true;
+    for (const { timer } of this.#restarts.values()) {
+      clearTimeout(timer);
+    }
+    for (const timer of this.#idleTimers.values()) {
+      clearTimeout(timer);
+    }
+    
+    // Update server instance status
+    const instances = instanceManager.getInstancesByServer('mcpz-cli-server');
+    for (const instance of instances) {
+      if (instance.pid === process.pid) {
+        instanceManager.updateInstanceStatus(instance.id, 'stopped');
+        console.info(`Updated own instance ${instance.id} status to stopped`);
       }
-      
-      // Kill any child instances that this server created
-      const allInstances = instanceManager.getAllInstances();
-      let killedCount = 0;
-      
-      for (const instance of allInstances) {
-        if (instance.launchSource === 'cli' && instance.status === 'running') {
-          try {
-            const success = instanceManager.killInstance(instance.id);
-            if (success) {
-              killedCount++;
-              console.info(`Killed child instance ${instance.id} (PID ${instance.pid})`);
-            }
-          } catch (error) {
-            console.error(`Failed to kill instance ${instance.id}: ${error.message}`);
+    }
+    
+    // Kill any child instances that this server created
+    const allInstances = instanceManager.getAllInstances();
+    let killedCount = 0;
+    
+    for (const instance of allInstances) {
+      if (instance.launchSource === 'cli' && instance.status === 'running') {
+        try {
+          const success = instanceManager.killInstance(instance.id);
+          if (success) {
+            killedCount++;
+            console.info(`Killed child instance ${instance.id} (PID ${instance.pid})`);
           }
+        } catch (error) {
+          console.error(`Failed to kill instance ${instance.id}: ${error.message}`);
         }
       }
-      
-      console.info(`Killed ${killedCount} child instances`);
-      
-      // Close the MCP server
-      await this.#server.close();
-      console.info('Server stopped');
-      
-      // Stop the instance manager's health check
-      instanceManager.stopHealthCheck();
-      
-      process.exit(0);
+    }
+    
+    console.info(`Killed ${killedCount} child instances`);
+
+    // Close the connections to upstream servers, including remote ones
+    for (const serverName of [...this.#mcpClients.keys()]) {
+      this.#disconnectClient(serverName);
+    }
+    
+    // Close the MCP server and any HTTP client sessions
+    clearInterval(this.#sessionSweepTimer);
+    await this.#server.close();
+    for (const { server } of this.#sessions.values()) {
+      await server.close();
+    }
+    this.#sessions.clear();
+
+    if (this.#httpServer) {
+      this.#httpServer.close();
+      this.#httpServer = null;
+    }
+    console.info('Server stopped');
+    
+    // Stop the instance manager's health check
+    instanceManager.stopHealthCheck();
+  }
+
+  /**
+   * Run a tool from the local registry, either built in or a local command
+   * @private
+   * @param {string} name - The tool name without the mcpz namespace
+   * @param {Object} args - The call arguments
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Cancels the call
+   * @param {number} options.timeout - Timeout for commands that set none
+   * @returns {Promise<Object>} - The tool result
+   */
+  async #callLocalTool(name, args, { signal, timeout }) {
+    const tool = this.#toolRegistry.get(name);
+    if (tool?.builtIn) {
+      return this.#callBuiltInTool(name, args);
+    }
+    if (!tool?.command) {
+      throw new McpError(ErrorCode.MethodNotFound, `Tool ${name} not found`);
+    }
+
+    try {
+      console.info(`Running local tool ${name}: ${tool.command}`);
+      return await runLocalTool(tool, args, { signal, timeoutMs: timeout });
     } catch (error) {
-      console.error(`Error during shutdown: ${error.message}`);
-      process.exit(1);
+      console.error(`Local tool ${name} failed: ${error.message}`);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error executing tool: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Run a built-in tool from the local registry
+   * @private
+   * @param {string} name - The tool name without the mcpz namespace
+   * @param {Object} args - The call arguments
+   * @returns {Promise<Object>} - The tool result
+   */
+  async #callBuiltInTool(name, args) {
+    if (!this.#toolRegistry.get(name)?.builtIn) {
+      throw new McpError(
+        ErrorCode.MethodNotFound,
+        `Tool ${name} is not a built-in tool`
+      );
+    }
+
+    try {
+      switch (name) {
+      case 'list_servers':
+        return toTextResult(this.#listServers());
+      case 'server_status':
+        return toTextResult(this.#getServerStatus(args.server));
+      case 'restart_server':
+        return toTextResult(await this.#restartServerOnRequest(args.server));
+      case 'enable_server':
+        if (args.enabled !== undefined && typeof args.enabled !== 'boolean') {
+          throw new Error('enabled must be true or false');
+        }
+        return toTextResult(await this.#setServerEnabled(args.server, args.enabled ?? true));
+      case 'list_skills':
+        return toTextResult(await this.#listSkillsStatus());
+      default:
+        throw new Error(`No handler for built-in tool ${name}`);
+      }
+    } catch (error) {
+      console.error(`Built-in tool ${name} failed: ${error.message}`);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error executing tool: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
     }
   }
 
+  /**
+   * Describe what a configured server is doing in this session
+   * @private
+   * @param {Object} server - The server configuration
+   * @returns {string} - disabled, not loaded, connected, idle, restarting, failed or error
+   */
+  #getServerState(server) {
+    if (!server.enabled) {
+      return 'disabled';
+    }
+    if (!this.#serverConfigs.has(server.name)) {
+      return 'not loaded';
+    }
+    if (this.#mcpClients.has(server.name)) {
+      return 'connected';
+    }
+
+    const restart = this.#restarts.get(server.name);
+    if (restart?.failed) {
+      return 'failed';
+    }
+    if (restart && !restart.running) {
+      return 'restarting';
+    }
+
+    return this.#isLazy(server) && this.#toolCache.has(server.name) ? 'idle' : 'error';
+  }
+
+  /**
+   * List the configured servers for the list_servers tool
+   * @private
+   * @returns {Object[]} - Name, state and tool count of every server
+   */
+  #listServers() {
+    return this.#settingsManager.getServers().map(server => ({
+      name: server.name,
+      enabled: Boolean(server.enabled),
+      state: this.#getServerState(server),
+      transport: this.#getConnectionType(server),
+      lazy: this.#isLazy(server),
+      tools: this.#toolCache.get(server.name)?.length ?? 0
+    }));
+  }
+
+  /**
+   * Summarize instance records for the server_status tool
+   * @private
+   * @param {string} [serverName] - Only include this server's instances
+   * @returns {Object} - Counts and one summary per instance
+   */
+  #getServerStatus(serverName) {
+    const status = this.#getInstancesStatus();
+
+    // Leave out the stored server config, which may hold secrets
+    const instances = Object.values(status.instancesByServer)
+      .flat()
+      .filter(instance => !serverName || instance.serverName === serverName)
+      .map(instance => ({
+        id: instance.id,
+        server: instance.serverName,
+        status: instance.status,
+        pid: instance.pid,
+        connectionType: instance.connectionType,
+        startTime: new Date(instance.startTime).toISOString(),
+        queueDepth: instance.queueDepth ?? 0,
+        tools: instance.mcpDetails?.toolCount ?? null,
+        resourceUsage: instance.resourceUsage
+      }));
+
+    return {
+      totalInstances: status.totalInstances,
+      runningCount: status.runningCount,
+      errorCount: status.errorCount,
+      instances,
+      timestamp: status.timestamp
+    };
+  }
+
+  /**
+   * Forget a server's idle timer and any pending crash restart
+   * @private
+   * @param {string} serverName - The server name
+   */
+  #resetServerTimers(serverName) {
+    clearTimeout(this.#idleTimers.get(serverName));
+    this.#idleTimers.delete(serverName);
+    clearTimeout(this.#restarts.get(serverName)?.timer);
+    this.#restarts.delete(serverName);
+  }
+
+  /**
+   * Restart a server for the restart_server tool
+   * @private
+   * @param {string} serverName - The server name
+   * @returns {Promise<string>} - What happened
+   */
+  async #restartServerOnRequest(serverName) {
+    const server = this.#serverConfigs.get(serverName);
+    if (!server) {
+      throw new Error(`Server ${serverName} is not loaded in this session`);
+    }
+
+    console.info(`Restarting ${serverName} on request`);
+    this.#resetServerTimers(serverName);
+    this.#disconnectClient(serverName);
+    await this.#connectToServer(server);
+
+    if (!this.#mcpClients.has(serverName)) {
+      throw new Error(`Server ${serverName} did not start again; see the mcpz log for details`);
+    }
+    return `Restarted ${serverName} with ${this.#toolCache.get(serverName)?.length ?? 0} tools`;
+  }
+
+  /**
+   * Enable or disable a server in the config and start or stop it, for the enable_server tool
+   * @private
+   * @param {string} serverName - The server name
+   * @param {boolean} enabled - Whether the server should be enabled
+   * @returns {Promise<string>} - What happened
+   */
+  async #setServerEnabled(serverName, enabled) {
+    const settings = this.#settingsManager.getSettings();
+    const server = (settings.servers || []).find(entry => entry.name === serverName);
+    if (!server) {
+      throw new Error(`Unknown server: ${serverName}`);
+    }
+
+    server.enabled = enabled;
+    if (!this.#settingsManager.saveSettings(settings)) {
+      throw new Error('Could not save the config');
+    }
+
+    if (!enabled) {
+      this.#serverConfigs.delete(serverName);
+      this.#resetServerTimers(serverName);
+      this.#disconnectClient(serverName);
+      if (this.#toolCache.delete(serverName)) {
+        this.#notifyToolListChanged();
+      }
+      return `Disabled ${serverName}`;
+    }
+
+    if (this.#serverFilters && !this.#serverFilters.includes(serverName)) {
+      return `Enabled ${serverName}; it is outside this session's server filters, so it was not started`;
+    }
+
+    this.#serverConfigs.set(serverName, server);
+    if (!this.#mcpClients.has(serverName)) {
+      await this.#connectToServer(server);
+    }
+
+    if (!this.#mcpClients.has(serverName)) {
+      throw new Error(`Enabled ${serverName}, but it did not start; see the mcpz log for details`);
+    }
+    return `Enabled ${serverName} with ${this.#toolCache.get(serverName)?.length ?? 0} tools`;
+  }
+
+  /**
+   * List installed skills for the list_skills tool
+   * @private
+   * @returns {Promise<Object[]>} - Name, description and whether each skill is loaded
+   */
+  async #listSkillsStatus() {
+    const { listSkills } = await import('./utils/skills.js');
+    const loaded = new Set(this.#loadedSkills.map(skill => skill.name));
+
+    return listSkills(path.join(os.homedir(), '.mcpz', 'skills')).map(skill => ({
+      name: skill.name,
+      description: skill.description,
+      loaded: loaded.has(skill.name)
+    }));
+  }
+
   /**
    * Gets instance status data for UI display
    * @private
@@ -1492,7 +3971,10 @@ const mcpServer = new McpServer();
 // Export the server instance and its methods
 const exportedServer = {
   start: (options) => mcpServer.start(options),
+  serve: (options) => mcpServer.serve(options),
+  connect: (transport, options) => mcpServer.connect(transport, options),
   stop: () => mcpServer.stop(),
+  close: () => mcpServer.close(),
   registerClient: (clientId, client) => mcpServer.registerClient(clientId, client),
   unregisterClient: (clientId) => mcpServer.unregisterClient(clientId),
   getInstancesStatus: () => mcpServer.getInstancesStatus(),
@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { REDACTED } from './redact.js';
+
+/**
+ * Audit Log - Append-only JSONL record of tool calls
+ *
+ * One file per day in ~/.mcpz/audit/, named YYYY-MM-DD.jsonl.
+ */
+
+// Default audit directory
+const AUDIT_DIR = path.join(os.homedir(), '.mcpz', 'audit');
+
+export { REDACTED };
+
+// Argument names that are always redacted, compared without case, dashes or underscores
+export const DEFAULT_REDACT_KEYS = [
+  'password',
+  'passwd',
+  'secret',
+  'token',
+  'apikey',
+  'authorization',
+  'cookie',
+  'credential',
+  'privatekey'
+];
+
+/**
+ * Normalize an argument name for comparison
+ * @param {string} key - The argument name
+ * @returns {string} - Lowercase name without dashes or underscores
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_]/g, '');
+}
+
+/**
+ * Build redaction rules from the `audit` config section
+ * @param {Object} [settings] - The audit settings
+ * @param {string[]} [settings.redactKeys] - Extra argument names to redact
+ * @param {string[]} [settings.redactPatterns] - Regular expressions whose matches are redacted in string values
+ * @returns {{keys: string[], patterns: RegExp[]}} - The compiled rules
+ */
+export function compileRedactionRules(settings = {}) {
+  const keys = [...DEFAULT_REDACT_KEYS, ...(Array.isArray(settings.redactKeys) ? settings.redactKeys : [])]
+    .map(normalizeKey)
+    .filter(Boolean);
+
+  const patterns = [];
+  for (const pattern of Array.isArray(settings.redactPatterns) ? settings.redactPatterns : []) {
+    try {
+      patterns.push(new RegExp(pattern, 'g'));
+    } catch (error) {
+      console.error(`Ignoring invalid audit redaction pattern ${pattern}: ${error.message}`);
+    }
+  }
+
+  return { keys, patterns };
+}
+
+/**
+ * Check whether an argument name should be redacted
+ * @param {string} key - The argument name
+ * @param {string[]} keys - Normalized names to redact
+ * @returns {boolean}
+ */
+function isRedactedKey(key, keys) {
+  const normalized = normalizeKey(key);
+  return keys.some(rule => normalized.startsWith(rule) || normalized.endsWith(rule));
+}
+
+/**
+ * Redact sensitive values from tool arguments
+ * @param {*} value - The arguments, or any value inside them
+ * @param {{keys: string[], patterns: RegExp[]}} rules - Rules from compileRedactionRules
+ * @returns {*} - A redacted copy
+ */
+export function redactArguments(value, rules) {
+  if (typeof value === 'string') {
+    return rules.patterns.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactArguments(item, rules));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      isRedactedKey(key, rules.keys) ? REDACTED : redactArguments(item, rules)
+    ]));
+  }
+
+  return value;
+}
+
+/**
+ * Append an entry to the audit log for its day
+ * @param {Object} entry - The entry, with an ISO `timestamp`
+ * @param {string} [auditDir] - The audit directory
+ */
+export function appendAuditEntry(entry, auditDir = AUDIT_DIR) {
+  try {
+    fs.mkdirSync(auditDir, { recursive: true });
+    const file = path.join(auditDir, `${entry.timestamp.slice(0, 10)}.jsonl`);
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.error(`Error writing audit log: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a --since/--until value: a duration such as 30m, 12h or 7d, or a date
+ * @param {string} value - The value to parse
+ * @returns {Date|null} - The point in time, or null if the value is invalid
+ */
+export function parseTime(value) {
+  if (!value) {
+    return null;
+  }
+
+  const duration = String(value).match(/^(\d+)([smhd])$/);
+  if (duration) {
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return new Date(Date.now() - Number(duration[1]) * units[duration[2]]);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read audit entries matching the given filters
+ * @param {Object} [filters]
+ * @param {Date} [filters.since] - Only entries at or after this time
+ * @param {Date} [filters.until] - Only entries at or before this time
+ * @param {string} [filters.server] - Only calls to this server
+ * @param {string} [filters.tool] - Only calls to this tool, by original or exposed name
+ * @param {string} [filters.session] - Only calls from this session
+ * @param {boolean} [filters.errors] - Only failed calls
+ * @param {number} [filters.limit] - Keep only the most recent entries
+ * @param {string} [auditDir] - The audit directory
+ * @returns {Object[]} - Matching entries, oldest first
+ */
+export function readAuditEntries(filters = {}, auditDir = AUDIT_DIR) {
+  if (!fs.existsSync(auditDir)) {
+    return [];
+  }
+
+  const sinceDay = filters.since ? filters.since.toISOString().slice(0, 10) : null;
+  const untilDay = filters.until ? filters.until.toISOString().slice(0, 10) : null;
+
+  const files = fs.readdirSync(auditDir)
+    .filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file))
+    .filter(file => (!sinceDay || file.slice(0, 10) >= sinceDay) && (!untilDay || file.slice(0, 10) <= untilDay))
+    .sort();
+
+  const entries = [];
+  for (const file of files) {
+    const lines = fs.readFileSync(path.join(auditDir, file), 'utf-8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      const time = new Date(entry.timestamp);
+      if (filters.since && time < filters.since) continue;
+      if (filters.until && time > filters.until) continue;
+      if (filters.server && entry.server !== filters.server) continue;
+      if (filters.tool && entry.tool !== filters.tool && entry.name !== filters.tool) continue;
+      if (filters.session && entry.session !== filters.session) continue;
+      if (filters.errors && !entry.isError) continue;
+
+      entries.push(entry);
+    }
+  }
+
+  return filters.limit > 0 ? entries.slice(-filters.limit) : entries;
+}
+
+/**
+ * Get the audit directory path
+ * @returns {string}
+ */
+export function getAuditDir() {
+  return AUDIT_DIR;
+}
@@ -0,0 +1,109 @@
+import Fuse from 'fuse.js';
+
+/**
+ * Discovery - Meta-tools that let an agent find and call tools on demand
+ *
+ * With `--discovery`, ListTools returns only these two tools instead of every
+ * upstream tool, so large toolboxes do not fill the agent's context.
+ */
+
+// Default number of search results
+export const DEFAULT_SEARCH_LIMIT = 10;
+
+/**
+ * Build the discovery tools under their exposed names
+ * @param {string} separator - The separator between the mcpz namespace and the tool name
+ * @returns {{search: Object, call: Object}} - The search and call tool definitions
+ */
+export function getDiscoveryTools(separator) {
+  const searchName = `mcpz${separator}search_tools`;
+  const callName = `mcpz${separator}call_tool`;
+
+  return {
+    search: {
+      name: searchName,
+      description: 'Search the available tools by name, description and parameters. ' +
+        `Returns matching tools with their input schemas; run one with ${callName}.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'What the tool should do, or part of its name, for example "create github issue"'
+          },
+          limit: {
+            type: 'number',
+            description: `Maximum number of tools to return (default ${DEFAULT_SEARCH_LIMIT})`
+          }
+        },
+        required: ['query']
+      }
+    },
+    call: {
+      name: callName,
+      description: `Run a tool found with ${searchName}, by its full name.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: `The full tool name returned by ${searchName}`
+          },
+          arguments: {
+            type: 'object',
+            description: 'Arguments matching the tool\'s input schema'
+          }
+        },
+        required: ['name']
+      }
+    }
+  };
+}
+
+/**
+ * Describe a tool's parameters as searchable text
+ * @param {Object} tool - The tool
+ * @returns {string} - Parameter names and descriptions
+ */
+function describeSchema(tool) {
+  const properties = tool.inputSchema?.properties || {};
+  return Object.entries(properties)
+    .map(([name, property]) => `${name} ${property?.description || ''}`.trim())
+    .join(' ');
+}
+
+/**
+ * Fuzzy search tools by name, description and parameters
+ * @param {Object[]} tools - The tools, under the names clients call them by
+ * @param {string} query - The search text; every word has to match somewhere
+ * @param {number} [limit] - Maximum number of results
+ * @returns {Object[]} - Matching tools, best match first
+ */
+export function searchTools(tools, query, limit = DEFAULT_SEARCH_LIMIT) {
+  const max = Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_SEARCH_LIMIT;
+  const words = String(query ?? '').trim().split(/\s+/).filter(Boolean);
+
+  if (words.length === 0) {
+    return tools.slice(0, max);
+  }
+
+  const fuse = new Fuse(tools.map(tool => ({ tool, name: tool.name, description: tool.description || '', schema: describeSchema(tool) })), {
+    keys: [
+      { name: 'name', weight: 3 },
+      { name: 'description', weight: 2 },
+      { name: 'schema', weight: 1 }
+    ],
+    threshold: 0.4,
+    ignoreLocation: true,
+    includeScore: true
+  });
+
+  // Each word must match one of the fields
+  const results = fuse.search({
+    $and: words.map(word => ({
+      $or: [{ name: word }, { description: word }, { schema: word }]
+    }))
+  });
+
+  return results.slice(0, max).map(result => result.item.tool);
+}
@@ -3,6 +3,7 @@ import path from 'path';
 import os from 'os';
 import { EventEmitter } from 'events';
 import { isLogging } from './config.js';
+import { redactor } from './redact.js';
 
 // Note: Logging is handled directly with console methods throughout the code
 
@@ -60,7 +61,8 @@ class InstanceManager {
     try {
       const filePath = path.join(this.#instancesDir, `${instance.id}.json`);
       // Security: Write with restrictive permissions (owner read/write only)
-      fs.writeFileSync(filePath, JSON.stringify(instance, null, 2), { mode: 0o600 });
+      // Security: Mask secrets such as env values held in the server config
+      fs.writeFileSync(filePath, JSON.stringify(redactor.redactValue(instance), null, 2), { mode: 0o600 });
     } catch (error) {
       console.info(`Failed to save instance: ${instance.id}`, error);
     }
@@ -74,7 +76,7 @@ class InstanceManager {
    * @param {string} launchSource - Source of the launch (cli or extension)
    * @param {string} serverConfig - Serialized server configuration
    * @param {Object} contextInfo - Additional context information
-   * @param {string} connectionType - Type of connection (stdio or sse)
+   * @param {string} connectionType - Type of connection (stdio, http or sse)
    * @param {Object|null} transport - Transport object that may contain process information (optional)
    * @param {Object|null} mcpDetails - Additional details about the MCP server (optional)
    * @returns {string} - Instance ID
@@ -123,6 +125,8 @@ class InstanceManager {
       transport: transport ? true : false,
       // Store resource usage if provided
       resourceUsage: null,
+      // Tool calls waiting under rate limits
+      queueDepth: 0,
       // Store any specific MCP details provided
       mcpDetails: mcpDetails || null
     };
@@ -195,6 +199,25 @@ class InstanceManager {
     return true;
   }
 
+  /**
+   * Updates the number of tool calls waiting under rate limits for an instance
+   * @param {string} id - Instance ID
+   * @param {number} queueDepth - Calls waiting for their turn
+   * @returns {boolean} - Whether the update was successful
+   */
+  updateInstanceQueueDepth(id, queueDepth) {
+    const instance = this.#instances.get(id);
+    if (!instance) {
+      return false;
+    }
+
+    instance.queueDepth = queueDepth;
+    this.#saveInstance(instance);
+
+    this.#eventEmitter.emit('instances_changed', this.getAllInstances());
+    return true;
+  }
+
   /**
    * Gets all instances as an array
    */
@@ -234,6 +257,15 @@ class InstanceManager {
     }
   }
 
+  /**
+   * Checks if an instance is a remote (HTTP or SSE) server without a local process
+   * @param {Object} instance - Instance record
+   * @returns {boolean} - Whether the instance is remote
+   */
+  #isRemoteInstance(instance) {
+    return !instance.pid && (instance.connectionType === 'http' || instance.connectionType === 'sse');
+  }
+
   /**
    * Security: Validates that a PID is a positive integer
    * @param {*} pid - Value to validate
@@ -331,6 +363,11 @@ class InstanceManager {
 
     // First pass: check process status and collect PIDs for resource query
     for (const instance of this.#instances.values()) {
+      // Remote servers have no local process; their transport reports status changes
+      if (this.#isRemoteInstance(instance)) {
+        continue;
+      }
+
       // Check if the process is still running
       const isRunning = instance.pid ? this.#isPidRunning(instance.pid) : false;
 
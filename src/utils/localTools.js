@@ -0,0 +1,404 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { execFile } from 'child_process';
+
+/**
+ * Local Tools - User-defined tools that run a local command
+ *
+ * Each tool is a JSON file in ~/.mcpz/tools:
+ *
+ *   {
+ *     "name": "git_log",
+ *     "description": "Show recent commits",
+ *     "inputSchema": { "type": "object", "properties": { "count": { "type": "number" } } },
+ *     "command": "git",
+ *     "args": ["log", "-n", "{{count}}", "--oneline"],
+ *     "cwd": "~/projects/app",
+ *     "env": { "GIT_PAGER": "cat" },
+ *     "timeoutMs": 10000
+ *   }
+ *
+ * The command is run with execFile, never through a shell. `{{name}}` in an
+ * argument is replaced with the call argument of that name. Call arguments are
+ * checked against the input schema first, and values that could be read as
+ * options (starting with `-`) are refused unless the tool sets `allowDashValues`.
+ */
+
+// Default local tools directory
+const TOOLS_DIR = path.join(os.homedir(), '.mcpz', 'tools');
+
+// Largest stdout or stderr a command may write before it is stopped
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+// Placeholders in argument templates
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+/**
+ * Get the local tools directory path
+ * @returns {string}
+ */
+export function getToolsDir() {
+  return TOOLS_DIR;
+}
+
+/**
+ * Check a tool name can be used as a file name and an MCP tool name
+ * @param {string} name - The tool name
+ * @returns {boolean}
+ */
+function isValidToolName(name) {
+  return typeof name === 'string' && /^[a-zA-Z0-9_-]{1,64}$/.test(name);
+}
+
+/**
+ * Check a local tool definition
+ * @param {Object} tool - The tool definition
+ * @returns {string[]} - Problems found; empty when the definition is valid
+ */
+export function validateLocalTool(tool) {
+  if (!tool || typeof tool !== 'object') {
+    return ['Tool definition must be an object'];
+  }
+
+  const errors = [];
+  if (!isValidToolName(tool.name)) {
+    errors.push('name must be 1-64 letters, numbers, underscores or dashes');
+  }
+  if (typeof tool.command !== 'string' || tool.command.trim() === '') {
+    errors.push('command is required');
+  }
+  if (tool.args !== undefined && (!Array.isArray(tool.args) || !tool.args.every(arg => typeof arg === 'string'))) {
+    errors.push('args must be an array of strings');
+  }
+  if (tool.inputSchema !== undefined && tool.inputSchema?.type !== 'object') {
+    errors.push('inputSchema must be a JSON schema of type "object"');
+  }
+  if (tool.cwd !== undefined && typeof tool.cwd !== 'string') {
+    errors.push('cwd must be a string');
+  }
+  if (tool.env !== undefined && (!tool.env || typeof tool.env !== 'object' || Array.isArray(tool.env))) {
+    errors.push('env must be an object');
+  }
+  if (tool.timeoutMs !== undefined && !(Number.isFinite(tool.timeoutMs) && tool.timeoutMs > 0)) {
+    errors.push('timeoutMs must be a positive number');
+  }
+  if (tool.allowDashValues !== undefined && typeof tool.allowDashValues !== 'boolean') {
+    errors.push('allowDashValues must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Check a value against a JSON schema type
+ * @param {*} value - The value
+ * @param {string} type - The schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+  case 'string':
+    return typeof value === 'string';
+  case 'number':
+    return typeof value === 'number' && Number.isFinite(value);
+  case 'integer':
+    return Number.isInteger(value);
+  case 'boolean':
+    return typeof value === 'boolean';
+  case 'array':
+    return Array.isArray(value);
+  case 'object':
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  case 'null':
+    return value === null;
+  default:
+    return true;
+  }
+}
+
+/**
+ * Check call arguments against a tool's input schema and argument templates
+ *
+ * Covers required properties, property and array item types, and enums.
+ * Values used by placeholders may not start with `-` unless the tool sets
+ * `allowDashValues`, so they cannot be passed to the command as options.
+ * @param {Object} tool - The tool definition
+ * @param {Object} args - The call arguments
+ * @returns {string[]} - Problems found; empty when the arguments are valid
+ */
+export function checkArguments(tool, args = {}) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return ['arguments must be an object'];
+  }
+
+  const errors = [];
+  const properties = tool.inputSchema?.properties || {};
+
+  for (const name of tool.inputSchema?.required || []) {
+    if (args[name] === undefined) {
+      errors.push(`${name} is required`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const schema = properties[name];
+    if (!schema || value === undefined) {
+      continue;
+    }
+
+    const types = [].concat(schema.type ?? []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+      errors.push(`${name} must be of type ${types.join(' or ')}`);
+      continue;
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+      errors.push(`${name} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+    if (Array.isArray(value) && schema.items?.type && !value.every(item => matchesType(item, schema.items.type))) {
+      errors.push(`${name} items must be of type ${schema.items.type}`);
+    }
+  }
+
+  if (!tool.allowDashValues) {
+    const used = new Set((tool.args || []).flatMap(template => [...template.matchAll(PLACEHOLDER)].map(match => match[1])));
+    for (const name of used) {
+      const values = Array.isArray(args[name]) ? args[name] : [args[name]];
+      if (values.some(value => formatValue(value).startsWith('-'))) {
+        errors.push(`${name} may not start with "-"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format a call argument as command-line text
+ * @param {*} value - The argument value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Fill in an argument template with call arguments
+ *
+ * An argument that is only a placeholder is left out when the value is missing,
+ * and becomes one argument per item when the value is an array.
+ * @param {string[]} templates - The argument templates
+ * @param {Object} values - The call arguments
+ * @returns {string[]} - The command-line arguments
+ */
+export function renderArgs(templates = [], values = {}) {
+  const args = [];
+
+  for (const template of templates) {
+    const whole = template.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      const value = values[whole[1]];
+      if (Array.isArray(value)) {
+        args.push(...value.map(formatValue));
+      } else if (value !== undefined && value !== null) {
+        args.push(formatValue(value));
+      }
+      continue;
+    }
+
+    args.push(template.replace(PLACEHOLDER, (match, name) => formatValue(values[name])));
+  }
+
+  return args;
+}
+
+/**
+ * Expand a leading ~ to the home directory
+ * @param {string} dir - The directory
+ * @returns {string}
+ */
+function expandHome(dir) {
+  return dir === '~' || dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+/**
+ * Run a local tool's command and map its output to a tool result
+ * @param {Object} tool - The tool definition
+ * @param {Object} args - The call arguments
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the command when aborted
+ * @param {number} [options.timeoutMs] - Used when the tool sets no timeoutMs
+ * @returns {Promise<Object>} - stdout as text, stderr as a second text item, and isError for invalid arguments or a failed command
+ */
+export function runLocalTool(tool, args = {}, { signal, timeoutMs } = {}) {
+  const timeout = tool.timeoutMs ?? timeoutMs ?? 0;
+
+  const errors = checkArguments(tool, args);
+  if (errors.length > 0) {
+    return Promise.resolve({
+      content: [{ type: 'text', text: `Invalid arguments: ${errors.join('; ')}` }],
+      isError: true
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    execFile(tool.command, renderArgs(tool.args, args), {
+      cwd: tool.cwd ? expandHome(tool.cwd) : undefined,
+      env: { ...process.env, ...tool.env },
+      timeout,
+      maxBuffer: MAX_OUTPUT_BYTES,
+      signal,
+      windowsHide: true
+    }, (error, stdout, stderr) => {
+      if (error?.name === 'AbortError') {
+        reject(signal?.reason ?? error);
+        return;
+      }
+
+      const content = [];
+      if (stdout) {
+        content.push({ type: 'text', text: stdout });
+      }
+      if (stderr) {
+        content.push({ type: 'text', text: `stderr:\n${stderr}` });
+      }
+
+      if (!error) {
+        if (content.length === 0) {
+          content.push({ type: 'text', text: 'Command finished with no output' });
+        }
+        resolve({ content });
+        return;
+      }
+
+      let message;
+      if (error.killed && timeout > 0) {
+        message = `Command timed out after ${timeout}ms`;
+      } else if (typeof error.code === 'number') {
+        message = `Command exited with code ${error.code}`;
+      } else if (error.signal) {
+        message = `Command stopped by ${error.signal}`;
+      } else {
+        message = `Command failed: ${error.message}`;
+      }
+      content.push({ type: 'text', text: message });
+      resolve({ content, isError: true });
+    });
+  });
+}
+
+/**
+ * List local tool definitions
+ * @param {string} [toolsDir] - The tools directory
+ * @returns {Array<{tool: Object, path: string, errors: string[]}>} - Each definition with any problems found
+ */
+export function listLocalTools(toolsDir = TOOLS_DIR) {
+  if (!fs.existsSync(toolsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(toolsDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const filePath = path.join(toolsDir, file);
+      try {
+        const tool = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { tool, path: filePath, errors: validateLocalTool(tool) };
+      } catch (error) {
+        return { tool: { name: path.basename(file, '.json') }, path: filePath, errors: [error.message] };
+      }
+    });
+}
+
+/**
+ * Save a local tool definition
+ * @param {Object} tool - The tool definition
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Replace an existing tool with the same name
+ * @param {string} [options.toolsDir] - The tools directory
+ * @returns {{success: boolean, message: string, path?: string}}
+ */
+export function saveLocalTool(tool, { force = false, toolsDir = TOOLS_DIR } = {}) {
+  const errors = validateLocalTool(tool);
+  if (errors.length > 0) {
+    return { success: false, message: `Invalid tool: ${errors.join('; ')}` };
+  }
+
+  const filePath = path.join(toolsDir, `${tool.name}.json`);
+  if (!force && fs.existsSync(filePath)) {
+    return { success: false, message: `Tool already exists: ${tool.name}` };
+  }
+
+  try {
+    fs.mkdirSync(toolsDir, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(tool, null, 2));
+    return { success: true, message: `Saved tool: ${tool.name}`, path: filePath };
+  } catch (error) {
+    return { success: false, message: `Failed to save tool: ${error.message}` };
+  }
+}
+
+/**
+ * Remove a local tool definition
+ * @param {string} name - The tool name
+ * @param {string} [toolsDir] - The tools directory
+ * @returns {{success: boolean, message: string}}
+ */
+export function removeLocalTool(name, toolsDir = TOOLS_DIR) {
+  const filePath = path.join(toolsDir, `${name}.json`);
+
+  if (!isValidToolName(name) || !fs.existsSync(filePath)) {
+    return { success: false, message: `Tool not found: ${name}` };
+  }
+
+  try {
+    fs.unlinkSync(filePath);
+    return { success: true, message: `Removed tool: ${name}` };
+  } catch (error) {
+    return { success: false, message: `Failed to remove tool: ${error.message}` };
+  }
+}
+
+/**
+ * Build an input schema from parameter specs and the placeholders in argument templates
+ * @param {string[]} specs - Parameters as `name[:type[:description]]`; a name ending in `?` is optional
+ * @param {string[]} [templates] - Argument templates; undeclared placeholders become required strings
+ * @returns {Object} - The JSON schema
+ */
+export function buildInputSchema(specs = [], templates = []) {
+  const properties = {};
+  const required = [];
+
+  for (const spec of specs) {
+    const [rawName, type, ...description] = spec.split(':');
+    const optional = rawName.endsWith('?');
+    const name = optional ? rawName.slice(0, -1).trim() : rawName.trim();
+    if (!name) {
+      continue;
+    }
+
+    properties[name] = { type: type?.trim() || 'string' };
+    if (description.length > 0) {
+      properties[name].description = description.join(':').trim();
+    }
+    if (!optional) {
+      required.push(name);
+    }
+  }
+
+  for (const template of templates) {
+    for (const [, name] of template.matchAll(PLACEHOLDER)) {
+      if (!properties[name]) {
+        properties[name] = { type: 'string' };
+        required.push(name);
+      }
+    }
+  }
+
+  return required.length > 0 ? { type: 'object', properties, required } : { type: 'object', properties };
+}
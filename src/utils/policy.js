@@ -0,0 +1,205 @@
+import path from 'path';
+import os from 'os';
+
+/**
+ * Policy Engine - Decide whether a tool call may be forwarded
+ *
+ * Rules come from a server's `alwaysAllow`/`autoApprove` lists, its `policy`
+ * section, and the top-level `policy` section (whose rules may name a server):
+ *
+ *   "policy": {
+ *     "allow": ["read_*", { "tool": "search" }],
+ *     "deny": [{
+ *       "tool": "write_file",
+ *       "arguments": { "path": { "notWithinPath": "~/project" } },
+ *       "reason": "Writes are limited to ~/project"
+ *     }]
+ *   }
+ *
+ * Deny rules always win. If a server has any allow rules, only tools matching
+ * one of them may be called.
+ */
+
+/**
+ * Turn a glob with `*` and `?` wildcards into a regular expression
+ * @param {string} glob - The glob
+ * @returns {RegExp} - The anchored expression
+ */
+export function globToRegExp(glob) {
+  const source = String(glob)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a path lies inside a directory, after resolving `..` and `~`
+ * @param {*} value - The path to check
+ * @param {string} directory - The directory
+ * @returns {boolean}
+ */
+function isWithinPath(value, directory) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  const expand = target => path.resolve(target.replace(/^~(?=$|[\\/])/, os.homedir()));
+  const relative = path.relative(expand(directory), expand(value));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Argument matchers; every matcher in a condition has to hold
+const MATCHERS = {
+  equals: (value, expected) => value === expected,
+  notEquals: (value, expected) => value !== expected,
+  startsWith: (value, prefix) => typeof value === 'string' && value.startsWith(prefix),
+  notStartsWith: (value, prefix) => !(typeof value === 'string' && value.startsWith(prefix)),
+  endsWith: (value, suffix) => typeof value === 'string' && value.endsWith(suffix),
+  contains: (value, part) => typeof value === 'string' && value.includes(part),
+  matches: (value, pattern) => typeof value === 'string' && new RegExp(pattern).test(value),
+  notMatches: (value, pattern) => !(typeof value === 'string' && new RegExp(pattern).test(value)),
+  withinPath: (value, directory) => isWithinPath(value, directory),
+  notWithinPath: (value, directory) => !isWithinPath(value, directory),
+  oneOf: (value, options) => Array.isArray(options) && options.includes(value)
+};
+
+/**
+ * Read an argument by name, following dots into nested objects
+ * @param {Object} args - The call arguments
+ * @param {string} name - The argument name or dotted path
+ * @returns {*} - The value, or undefined if it is missing
+ */
+function getArgument(args, name) {
+  return name.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), args);
+}
+
+/**
+ * Check whether an argument value satisfies a condition
+ * @param {*} value - The argument value
+ * @param {*} condition - An object of matchers, or a plain value to compare for equality
+ * @returns {boolean}
+ */
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return value === condition;
+  }
+
+  return Object.entries(condition).every(([matcher, expected]) => {
+    const match = MATCHERS[matcher];
+    if (!match) {
+      throw new Error(`Unknown policy matcher "${matcher}"`);
+    }
+    return match(value, expected);
+  });
+}
+
+/**
+ * Normalize a rule given as a tool glob or an object
+ * @param {string|Object} rule - The rule
+ * @returns {Object|null} - The rule object, or null if it is invalid
+ */
+function normalizeRule(rule) {
+  if (typeof rule === 'string') {
+    return { tool: rule };
+  }
+  return rule && typeof rule === 'object' ? rule : null;
+}
+
+/**
+ * Check whether a rule applies to a call
+ * @param {Object} rule - The rule
+ * @param {Object} call - The call being checked
+ * @returns {boolean}
+ */
+function ruleMatches(rule, call) {
+  if (rule.server && !globToRegExp(rule.server).test(call.server)) {
+    return false;
+  }
+
+  // Tool globs match the upstream name or the name the client sees
+  const toolPattern = globToRegExp(rule.tool ?? '*');
+  if (!toolPattern.test(call.tool) && !toolPattern.test(call.name ?? call.tool)) {
+    return false;
+  }
+
+  const conditions = rule.arguments && typeof rule.arguments === 'object' ? rule.arguments : {};
+  return Object.entries(conditions).every(([name, condition]) =>
+    matchesCondition(getArgument(call.arguments || {}, name), condition));
+}
+
+/**
+ * Describe a rule for error messages
+ * @param {Object} rule - The rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  return rule.reason || `matched deny rule ${JSON.stringify(rule)}`;
+}
+
+export class PolicyEngine {
+  #allowRules;
+  #denyRules;
+
+  /**
+   * @param {Object} [policy] - The top-level `policy` section
+   * @param {Array<string|Object>} [policy.allow] - Allow rules, optionally limited to a `server` glob
+   * @param {Array<string|Object>} [policy.deny] - Deny rules, optionally limited to a `server` glob
+   */
+  constructor(policy = {}) {
+    this.#allowRules = (Array.isArray(policy.allow) ? policy.allow : []).map(normalizeRule).filter(Boolean);
+    this.#denyRules = (Array.isArray(policy.deny) ? policy.deny : []).map(normalizeRule).filter(Boolean);
+  }
+
+  /**
+   * Get the allow rules that apply to a server
+   * @param {Object} server - The server configuration
+   * @returns {Object[]} - The rules
+   */
+  #getAllowRules(server) {
+    const lists = [server.alwaysAllow, server.autoApprove, server.policy?.allow]
+      .filter(Array.isArray)
+      .flat()
+      .map(normalizeRule)
+      .filter(Boolean)
+      .map(rule => ({ ...rule, server: server.name }));
+
+    return [...lists, ...this.#allowRules.filter(rule => !rule.server || globToRegExp(rule.server).test(server.name))];
+  }
+
+  /**
+   * Decide whether a tool call may be forwarded
+   * @param {Object} server - The server configuration
+   * @param {Object} call - The call
+   * @param {string} call.tool - The upstream tool name
+   * @param {string} [call.name] - The name the client called
+   * @param {Object} [call.arguments] - The call arguments
+   * @returns {{allowed: boolean, reason?: string}} - The decision
+   */
+  evaluate(server, call) {
+    const target = { ...call, server: server.name };
+
+    const serverDenyRules = (Array.isArray(server.policy?.deny) ? server.policy.deny : [])
+      .map(normalizeRule)
+      .filter(Boolean)
+      .map(rule => ({ ...rule, server: server.name }));
+
+    // A rule that cannot be evaluated blocks the call rather than letting it through
+    try {
+      for (const rule of [...this.#denyRules, ...serverDenyRules]) {
+        if (ruleMatches(rule, target)) {
+          return { allowed: false, reason: describeRule(rule) };
+        }
+      }
+
+      const allowRules = this.#getAllowRules(server);
+      if (allowRules.length > 0 && !allowRules.some(rule => ruleMatches(rule, target))) {
+        return { allowed: false, reason: `${call.tool} is not in the allow list for ${server.name}` };
+      }
+    } catch (error) {
+      return { allowed: false, reason: `invalid policy rule: ${error.message}` };
+    }
+
+    return { allowed: true };
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Rate Limiter - Token-bucket rate limit and concurrency cap for tool calls
+ *
+ * Configured per server with a `rateLimit` section, and per tool in the
+ * server's `tools` overrides:
+ *
+ *   "rateLimit": {
+ *     "requestsPerMinute": 30,
+ *     "burst": 5,
+ *     "maxConcurrent": 2,
+ *     "maxQueue": 10
+ *   }
+ *
+ * Calls that cannot start straight away wait in a queue of up to `maxQueue`
+ * calls; once the queue is full, further calls are rejected.
+ */
+
+// How long callers are told to wait when only the concurrency cap is holding them up
+const CONCURRENCY_RETRY_MS = 1000;
+
+/**
+ * Read a positive number from the settings
+ * @param {*} value - The configured value
+ * @returns {number|null} - The number, or null if it is missing or invalid
+ */
+function positive(value) {
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Check whether a rateLimit section sets any limit
+ * @param {Object} [settings] - The rateLimit section
+ * @returns {boolean}
+ */
+export function hasRateLimit(settings) {
+  return Boolean(settings && (positive(settings.requestsPerMinute) || positive(settings.maxConcurrent)));
+}
+
+export class RateLimiter {
+  #ratePerMs;
+  #capacity;
+  #tokens;
+  #refilledAt;
+  #maxConcurrent;
+  #maxQueue;
+  #active = 0;
+  #queue = [];
+  #timer = null;
+  #onChange;
+
+  /**
+   * @param {Object} settings - The rateLimit section
+   * @param {number} [settings.requestsPerMinute] - Calls allowed per minute on average
+   * @param {number} [settings.burst] - Calls allowed at once before the rate applies (defaults to requestsPerMinute)
+   * @param {number} [settings.maxConcurrent] - Calls allowed in flight at once
+   * @param {number} [settings.maxQueue] - Calls allowed to wait for their turn (defaults to 0)
+   * @param {Function} [onChange] - Called whenever the number of queued or active calls changes
+   */
+  constructor(settings = {}, onChange = () => {}) {
+    const requestsPerMinute = positive(settings.requestsPerMinute);
+    this.#ratePerMs = requestsPerMinute ? requestsPerMinute / 60000 : null;
+    this.#capacity = requestsPerMinute ? Math.max(1, Math.floor(positive(settings.burst) ?? requestsPerMinute)) : null;
+    this.#tokens = this.#capacity;
+    this.#refilledAt = Date.now();
+    this.#maxConcurrent = positive(settings.maxConcurrent) ? Math.floor(settings.maxConcurrent) : null;
+    this.#maxQueue = Number.isInteger(settings.maxQueue) && settings.maxQueue > 0 ? settings.maxQueue : 0;
+    this.#onChange = onChange;
+  }
+
+  /**
+   * Number of calls waiting for their turn
+   * @returns {number}
+   */
+  get queued() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Number of calls in flight
+   * @returns {number}
+   */
+  get active() {
+    return this.#active;
+  }
+
+  /**
+   * Wait for a turn to make a call
+   * @param {AbortSignal} [signal] - Aborts the wait, rejecting with the signal's reason
+   * @returns {Promise<Function|null>} - Call to release the turn once the call is done, or null if the queue is full
+   */
+  async acquire(signal) {
+    signal?.throwIfAborted();
+
+    if (this.#queue.length === 0 && this.#canStart()) {
+      return this.#start();
+    }
+
+    if (this.#queue.length >= this.#maxQueue) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        entry.onAbort = () => {
+          this.#queue.splice(this.#queue.indexOf(entry), 1);
+          this.#onChange();
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.#queue.push(entry);
+      this.#onChange();
+      this.#schedule();
+    });
+  }
+
+  /**
+   * Estimate how long a rejected caller should wait before retrying
+   * @returns {number} - Milliseconds
+   */
+  getRetryAfterMs() {
+    let wait = 0;
+
+    if (this.#ratePerMs) {
+      this.#refill();
+      const needed = this.#queue.length + 1 - this.#tokens;
+      wait = needed > 0 ? Math.ceil(needed / this.#ratePerMs) : 0;
+    }
+
+    if (this.#maxConcurrent && this.#active >= this.#maxConcurrent) {
+      wait = Math.max(wait, CONCURRENCY_RETRY_MS);
+    }
+
+    return wait;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   * @private
+   */
+  #refill() {
+    if (!this.#ratePerMs) {
+      return;
+    }
+
+    const now = Date.now();
+    this.#tokens = Math.min(this.#capacity, this.#tokens + (now - this.#refilledAt) * this.#ratePerMs);
+    this.#refilledAt = now;
+  }
+
+  /**
+   * Check whether a call could start now
+   * @private
+   * @returns {boolean}
+   */
+  #canStart() {
+    if (this.#maxConcurrent && this.#active >= this.#maxConcurrent) {
+      return false;
+    }
+
+    this.#refill();
+    return !this.#ratePerMs || this.#tokens >= 1;
+  }
+
+  /**
+   * Take a token and a concurrency slot
+   * @private
+   * @returns {Function} - Releases the slot
+   */
+  #start() {
+    if (this.#ratePerMs) {
+      this.#tokens -= 1;
+    }
+    this.#active++;
+    this.#onChange();
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.#active--;
+      this.#onChange();
+      this.#drain();
+    };
+  }
+
+  /**
+   * Start queued calls while there is room, oldest first
+   * @private
+   */
+  #drain() {
+    while (this.#queue.length > 0 && this.#canStart()) {
+      const entry = this.#queue.shift();
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      entry.resolve(this.#start());
+    }
+
+    this.#schedule();
+  }
+
+  /**
+   * Wake up when the next token is due, if a queued call is waiting for one
+   * @private
+   */
+  #schedule() {
+    if (this.#timer || this.#queue.length === 0 || !this.#ratePerMs) {
+      return;
+    }
+
+    // Calls held up by the concurrency cap are started when a slot is released instead
+    if (this.#maxConcurrent && this.#active >= this.#maxConcurrent) {
+      return;
+    }
+
+    const delay = Math.max(1, Math.ceil((1 - this.#tokens) / this.#ratePerMs));
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.#drain();
+    }, delay);
+  }
+}
@@ -0,0 +1,179 @@
+import util from 'util';
+
+/**
+ * Redaction - Mask secrets in log output, instance files, audit entries and tool results
+ *
+ * Three kinds of secret are masked:
+ * - values of server `env` and `headers` entries and process environment
+ *   variables whose names look sensitive, or are listed in `redaction.secretKeys`
+ * - common token formats (API keys, bearer tokens, JWTs, private keys)
+ * - regular expressions from the `redaction.patterns` config setting
+ */
+
+// Marker written in place of redacted values
+export const REDACTED = '[REDACTED]';
+
+// Shorter values are too likely to appear by chance to be masked everywhere
+const MIN_SECRET_LENGTH = 8;
+
+// Environment variable and header names whose values are treated as secrets
+const SENSITIVE_NAME = /(key|token|secret|passw(or)?d|auth|credential|cookie|session)/i;
+
+// Common token formats
+export const DEFAULT_TOKEN_PATTERNS = [
+  /sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g,
+  /gh[pousr]_[A-Za-z0-9]{36,}/g,
+  /github_pat_[A-Za-z0-9_]{22,}/g,
+  /xox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /AKIA[0-9A-Z]{16}/g,
+  /AIza[0-9A-Za-z_-]{35}/g,
+  /eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  /(?<=\bBearer\s+)[A-Za-z0-9._~+/=-]{16,}/gi,
+  /(?<=[?&](?:api_?key|access_token|token|secret|key)=)[^&\s"']+/gi,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+];
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class Redactor {
+  #values = new Set();
+  #valuePattern = null;
+  #patterns = [...DEFAULT_TOKEN_PATTERNS];
+
+  /**
+   * Add secret values to mask wherever they appear
+   * @param {Iterable<*>} values - The values; non-strings and short strings are ignored
+   */
+  addValues(values) {
+    for (const value of values) {
+      if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH && value !== REDACTED) {
+        this.#values.add(value);
+      }
+    }
+
+    // Longest first, so a secret containing another is masked whole
+    const sorted = [...this.#values].sort((a, b) => b.length - a.length);
+    this.#valuePattern = sorted.length > 0 ? new RegExp(sorted.map(escapeRegExp).join('|'), 'g') : null;
+  }
+
+  /**
+   * Add regular expressions whose matches are masked
+   * @param {string[]} patterns - The expressions; invalid ones are reported and skipped
+   */
+  addPatterns(patterns) {
+    for (const pattern of patterns) {
+      try {
+        this.#patterns.push(new RegExp(pattern, 'g'));
+      } catch (error) {
+        console.error(`Ignoring invalid redaction pattern ${pattern}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Mask secrets in text
+   * @param {string} text - The text
+   * @returns {string} - The text with secrets replaced by [REDACTED]
+   */
+  redact(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+      return text;
+    }
+
+    let redacted = this.#valuePattern ? text.replace(this.#valuePattern, REDACTED) : text;
+    for (const pattern of this.#patterns) {
+      redacted = redacted.replace(pattern, REDACTED);
+    }
+    return redacted;
+  }
+
+  /**
+   * Mask secrets in every string inside a value
+   * @param {*} value - A string, array or plain object
+   * @returns {*} - A redacted copy
+   */
+  redactValue(value) {
+    if (typeof value === 'string') {
+      return this.redact(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item));
+    }
+
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item)]));
+    }
+
+    return value;
+  }
+}
+
+// Shared redactor used by logging, instance files and the server
+export const redactor = new Redactor();
+
+/**
+ * Collect the secret values a set of server configurations hold
+ *
+ * Only entries whose names look sensitive are collected, so settings such as
+ * `NODE_ENV=production` or a data directory are not masked everywhere.
+ * @param {Object[]} servers - The server configurations
+ * @param {Object} [env] - Process environment
+ * @param {string[]} [secretKeys] - Further env and header names whose values are secret
+ * @returns {string[]} - The values
+ */
+export function collectSecretValues(servers, env = process.env, secretKeys = []) {
+  const listed = new Set(secretKeys.map(key => String(key).toLowerCase()));
+  const isSecret = name => SENSITIVE_NAME.test(name) || listed.has(name.toLowerCase());
+  const values = [];
+
+  const sections = (servers || []).flatMap(server => [server.env, server.headers]);
+  for (const section of [...sections, env]) {
+    if (section && typeof section === 'object') {
+      for (const [name, value] of Object.entries(section)) {
+        if (isSecret(name)) {
+          values.push(value);
+        }
+      }
+    }
+  }
+
+  return values.filter(value => typeof value === 'string');
+}
+
+/**
+ * Set up the shared redactor from the config
+ * @param {Object[]} servers - The configured servers
+ * @param {Object} [settings] - The `redaction` config section
+ * @param {string[]} [settings.patterns] - Extra regular expressions to mask
+ * @param {string[]} [settings.secretKeys] - Further env and header names whose values are secret
+ */
+export function configureRedaction(servers, settings = {}) {
+  const secretKeys = Array.isArray(settings.secretKeys) ? settings.secretKeys : [];
+  redactor.addValues(collectSecretValues(servers, process.env, secretKeys));
+  redactor.addPatterns(Array.isArray(settings.patterns) ? settings.patterns : []);
+}
+
+let consoleRedacted = false;
+
+/**
+ * Mask secrets in everything written through console methods from now on
+ */
+export function redactConsole() {
+  if (consoleRedacted) {
+    return;
+  }
+  consoleRedacted = true;
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redactor.redact(util.format(...args)));
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Restart Policy - Backoff and restart budget for crashed upstream servers
+ *
+ * A crashed server is restarted after `restartDelayMs`, doubling with every
+ * attempt up to a cap, until `maxRestarts` attempts in a row are used up.
+ * Only crashes in quick succession count against the budget: a server that
+ * stayed up for `restartResetMs` starts again from the first attempt.
+ */
+
+/**
+ * Get the delay before a restart attempt, doubling with every attempt
+ * @param {number} baseDelayMs - Delay before the first attempt
+ * @param {number} attempt - The attempt number, starting at 1
+ * @param {number} maxDelayMs - Longest delay between attempts
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRestartDelay(baseDelayMs, attempt, maxDelayMs) {
+  return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+}
+
+/**
+ * Get the attempt number for restarting a server that just crashed
+ * @param {Object} [previous] - The server's last restart state, if it was restarted before
+ * @param {number} previous.attempts - Attempts made so far
+ * @param {number} uptimeMs - How long the crashed connection had been up
+ * @param {number} resetMs - Uptime after which the budget is given back
+ * @returns {number} - The attempt number, starting at 1
+ */
+export function getCrashAttempt(previous, uptimeMs, resetMs) {
+  return previous && uptimeMs < resetMs ? previous.attempts + 1 : 1;
+}
+
+/**
+ * Check whether an attempt is past the restart budget
+ * @param {number} attempt - The attempt number, starting at 1
+ * @param {number} maxRestarts - How many times in a row the server may be restarted
+ * @returns {boolean}
+ */
+export function isBudgetSpent(attempt, maxRestarts) {
+  return attempt > maxRestarts;
+}
+
+/**
+ * Describe why a crashed server cannot take calls right now
+ * @param {string} serverName - The server name
+ * @param {Object} [restart] - The server's restart state
+ * @param {number} restart.attempts - Attempts made so far
+ * @param {boolean} [restart.failed] - Whether the budget is spent
+ * @param {boolean} [restart.running] - Whether the last restart brought the server back
+ * @param {number} [restart.retryAt] - When the next attempt is due
+ * @param {number} [now] - The current time
+ * @returns {string|null} - The message, or null if the server is not being restarted
+ */
+export function getRestartMessage(serverName, restart, now = Date.now()) {
+  if (!restart || restart.running) {
+    return null;
+  }
+
+  if (restart.failed) {
+    return `Server ${serverName} crashed and was not restarted after ${restart.attempts} attempts`;
+  }
+
+  const retryIn = restart.retryAt ? Math.max(0, Math.ceil((restart.retryAt - now) / 1000)) : 0;
+  return `Server ${serverName} is restarting (attempt ${restart.attempts}), try again ${retryIn > 0 ? `in ${retryIn}s` : 'shortly'}`;
+}
@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+
+/**
+ * Result Store - Keep oversized tool results so they can be read back in pages
+ *
+ * When a tool result is larger than its `maxResultBytes`, the client gets a
+ * truncated result with a link to mcpz://results/<id>, and reads the full
+ * result through ReadResource one page at a time (mcpz://results/<id>?page=2).
+ * Results are kept in memory for a limited time, and only the session that
+ * produced a result can list or read it.
+ */
+
+// Prefix of stored result URIs
+export const RESULT_URI_PREFIX = 'mcpz://results/';
+
+/**
+ * Get the size of a result's content in bytes
+ * @param {Object} result - The tool result
+ * @returns {number} - Bytes of text, plus the JSON size of other content
+ */
+export function getResultSize(result) {
+  return (result?.content || []).reduce((size, item) => size + Buffer.byteLength(
+    item.type === 'text' ? item.text ?? '' : JSON.stringify(item)
+  ), 0);
+}
+
+/**
+ * Turn a result's content into the text that is stored
+ * @param {Object} result - The tool result
+ * @returns {string} - Text items as they are and other items as JSON, one after another
+ */
+export function resultToText(result) {
+  return (result?.content || [])
+    .map(item => (item.type === 'text' ? item.text ?? '' : JSON.stringify(item)))
+    .join('\n\n');
+}
+
+/**
+ * Cut text down to at most a number of bytes without splitting a character
+ * @param {string} text - The text
+ * @param {number} maxBytes - The byte budget
+ * @returns {string}
+ */
+function truncateBytes(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) {
+    return text;
+  }
+  return Buffer.from(text).subarray(0, Math.max(0, maxBytes)).toString().replace(/\uFFFD+$/, '');
+}
+
+/**
+ * Split text into pages of at most a number of bytes without splitting a character
+ * @param {string} text - The text
+ * @param {number} pageBytes - Bytes per page
+ * @returns {string[]} - The pages; at least one, which is empty for empty text
+ */
+export function splitBytes(text, pageBytes) {
+  const buffer = Buffer.from(text);
+  const pages = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    let end = Math.min(start + pageBytes, buffer.length);
+
+    // Step back to the start of a character, or forward past one larger than a page
+    while (end < buffer.length && end > start && (buffer[end] & 0xc0) === 0x80) {
+      end--;
+    }
+    if (end === start) {
+      end++;
+      while (end < buffer.length && (buffer[end] & 0xc0) === 0x80) {
+        end++;
+      }
+    }
+
+    pages.push(buffer.toString('utf8', start, end));
+    start = end;
+  }
+
+  return pages.length > 0 ? pages : [''];
+}
+
+/**
+ * Keep as much content as fits in a byte budget, in order
+ * @param {Object[]} content - The result content
+ * @param {number} maxBytes - The byte budget
+ * @returns {Object[]} - Content that fits, with the text item crossing the limit cut short
+ */
+export function truncateContent(content, maxBytes) {
+  const kept = [];
+  let remaining = maxBytes;
+
+  for (const item of content || []) {
+    const size = getResultSize({ content: [item] });
+    if (size <= remaining) {
+      kept.push(item);
+      remaining -= size;
+      continue;
+    }
+
+    // Only text can be cut short; anything else that does not fit is left to the full result
+    if (item.type === 'text' && remaining > 0) {
+      kept.push({ ...item, text: truncateBytes(item.text ?? '', remaining) });
+    }
+    break;
+  }
+
+  return kept;
+}
+
+/**
+ * Split a stored result URI into its ID and page
+ * @param {string} uri - The URI
+ * @returns {{id: string, page: number}|null} - The parts, or null if not a result URI
+ */
+export function parseResultUri(uri) {
+  if (!uri.startsWith(RESULT_URI_PREFIX)) {
+    return null;
+  }
+
+  const match = uri.slice(RESULT_URI_PREFIX.length).match(/^([a-f0-9]+)(?:\?page=(\d+))?$/);
+  if (!match) {
+    return null;
+  }
+
+  return { id: match[1], page: match[2] ? Number(match[2]) : 1 };
+}
+
+export class ResultStore {
+  #results = new Map();
+  #ttlMs;
+  #maxBytes;
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - How long results are kept (defaults to one hour)
+   * @param {number} [options.maxBytes] - Total size of kept results before the oldest are dropped (defaults to 50 MB)
+   */
+  constructor({ ttlMs = 60 * 60 * 1000, maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.#ttlMs = ttlMs;
+    this.#maxBytes = maxBytes;
+  }
+
+  /**
+   * Keep a result
+   * @param {string} text - The full result text
+   * @param {Object} details
+   * @param {number} details.pageSize - Bytes per page
+   * @param {string} [details.tool] - The tool that produced the result
+   * @param {string} [details.session] - The session the result belongs to
+   * @returns {{id: string, uri: string, pages: number, size: number}} - The stored result
+   */
+  add(text, { pageSize, tool, session }) {
+    this.#prune();
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const size = Buffer.byteLength(text);
+    const entry = {
+      id,
+      uri: `${RESULT_URI_PREFIX}${id}`,
+      // Paged by bytes, like the limit that sent the result here
+      pageTexts: splitBytes(text, Math.max(1, Math.floor(pageSize))),
+      tool,
+      session,
+      size,
+      createdAt: Date.now()
+    };
+    entry.pages = entry.pageTexts.length;
+
+    this.#results.set(id, entry);
+    this.#evict();
+
+    return { id, uri: entry.uri, pages: entry.pages, size };
+  }
+
+  /**
+   * Read one page of a stored result
+   * @param {string} uri - mcpz://results/<id>, optionally with ?page=<n>
+   * @param {string} [session] - The session reading the result
+   * @returns {{text: string, page: number, pages: number}|null} - The page, or null if the result is unknown, expired or another session's
+   */
+  read(uri, session) {
+    this.#prune();
+
+    const parsed = parseResultUri(uri);
+    const entry = parsed && this.#results.get(parsed.id);
+    if (!entry || entry.session !== session || parsed.page < 1 || parsed.page > entry.pages) {
+      return null;
+    }
+
+    return {
+      text: entry.pageTexts[parsed.page - 1],
+      page: parsed.page,
+      pages: entry.pages
+    };
+  }
+
+  /**
+   * List a session's stored results, oldest first
+   * @param {string} [session] - The session
+   * @returns {Object[]} - `{id, uri, tool, size, pages, createdAt}` for each result
+   */
+  list(session) {
+    this.#prune();
+    return [...this.#results.values()].filter(entry => entry.session === session).map(entry => ({
+      id: entry.id,
+      uri: entry.uri,
+      tool: entry.tool,
+      size: entry.size,
+      pages: entry.pages,
+      createdAt: entry.createdAt
+    }));
+  }
+
+  /**
+   * Drop expired results
+   * @private
+   */
+  #prune() {
+    const cutoff = Date.now() - this.#ttlMs;
+    for (const [id, entry] of this.#results) {
+      if (entry.createdAt < cutoff) {
+        this.#results.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Drop the oldest results until the total size fits, always keeping the newest
+   * @private
+   */
+  #evict() {
+    let total = [...this.#results.values()].reduce((sum, entry) => sum + entry.size, 0);
+    for (const [id, entry] of this.#results) {
+      if (total <= this.#maxBytes || this.#results.size === 1) {
+        break;
+      }
+      this.#results.delete(id);
+      total -= entry.size;
+    }
+  }
+}
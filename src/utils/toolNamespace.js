@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+
+/**
+ * Tool Namespace - Maps exposed tool names to the server and tool they came from
+ *
+ * Exposed names follow the `[a-zA-Z0-9_-]{1,64}` rule most MCP clients enforce.
+ * Because the mapping is explicit, server and tool names may contain the
+ * separator without becoming ambiguous.
+ */
+
+export const DEFAULT_SEPARATOR = '_';
+export const MAX_NAME_LENGTH = 64;
+
+const VALID_NAME = /^[a-zA-Z0-9_-]+$/;
+const HASH_LENGTH = 8;
+
+/**
+ * Replace every character outside `[a-zA-Z0-9_-]` with an underscore
+ * @param {string} name - The name to clean
+ * @returns {string} - The cleaned name
+ */
+export function sanitizeName(name) {
+  return String(name).replace(/[^a-zA-Z0-9_-]/g, '_') || '_';
+}
+
+/**
+ * Check whether a string can separate server and tool names in an exposed name
+ * @param {string} separator - The separator to check
+ * @returns {boolean} - Whether the separator is valid
+ */
+export function isValidSeparator(separator) {
+  return typeof separator === 'string' && separator.length <= 8 && VALID_NAME.test(separator);
+}
+
+/**
+ * Short, stable hash of a (server, tool) pair
+ * @param {string} key - The value to hash
+ * @returns {string} - Hex digest prefix
+ */
+function shortHash(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * Shorten a name to fit the length limit, ending it with a hash of its key
+ * @param {string} base - The cleaned name
+ * @param {string} key - Unique key the hash is derived from
+ * @returns {string} - The suffixed name
+ */
+function withHashSuffix(base, key) {
+  return `${base.slice(0, MAX_NAME_LENGTH - HASH_LENGTH - 1)}-${shortHash(key)}`;
+}
+
+export class ToolNamespace {
+  #separator;
+  #entries = new Map();
+  #exposedNames = new Map();
+  #collisions = [];
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.separator] - Placed between the server name and the tool name
+   */
+  constructor({ separator = DEFAULT_SEPARATOR } = {}) {
+    if (!isValidSeparator(separator)) {
+      throw new TypeError(`Invalid tool name separator "${separator}": use 1-8 characters from [a-zA-Z0-9_-]`);
+    }
+
+    this.#separator = separator;
+  }
+
+  /**
+   * Separator placed between the server name and the tool name
+   * @returns {string}
+   */
+  get separator() {
+    return this.#separator;
+  }
+
+  /**
+   * Number of registered names
+   * @returns {number}
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Names that clashed while registering, and what the later one was renamed to
+   * @returns {Object[]} - `{name, existing: {serverName, name}, renamed: {serverName, name, exposedName}}`
+   */
+  get collisions() {
+    return [...this.#collisions];
+  }
+
+  /**
+   * Register a tool and get the name it is exposed under
+   * @param {string} serverName - The server the tool belongs to
+   * @param {string} name - The tool's name on that server
+   * @param {string} [alias] - Name to build the exposed name from instead of the tool's own
+   * @returns {string} - The exposed name
+   */
+  add(serverName, name, alias = name) {
+    const key = `${serverName}\u0000${name}`;
+    if (this.#exposedNames.has(key)) {
+      return this.#exposedNames.get(key);
+    }
+
+    let exposedName = `${sanitizeName(serverName)}${this.#separator}${sanitizeName(alias)}`;
+    if (exposedName.length > MAX_NAME_LENGTH) {
+      exposedName = withHashSuffix(exposedName, key);
+    }
+
+    if (this.#entries.has(exposedName)) {
+      const existing = this.#entries.get(exposedName);
+      const clashingName = exposedName;
+
+      // Keep the first registration and rename the later one, which stays stable for a given config order
+      let attempt = 0;
+      do {
+        exposedName = withHashSuffix(clashingName, attempt === 0 ? key : `${key}\u0000${attempt}`);
+        attempt++;
+      } while (this.#entries.has(exposedName));
+
+      this.#collisions.push({
+        name: clashingName,
+        existing: { ...existing },
+        renamed: { serverName, name, exposedName }
+      });
+    }
+
+    this.#entries.set(exposedName, { serverName, name });
+    this.#exposedNames.set(key, exposedName);
+    return exposedName;
+  }
+
+  /**
+   * Register a tool under an exact exposed name, whatever the separator
+   *
+   * For names that must not change with the configuration. Register them
+   * before other tools, so those are the ones renamed on a clash.
+   * @param {string} serverName - The server the tool belongs to
+   * @param {string} name - The tool's name on that server
+   * @param {string} exposedName - The exposed name
+   * @returns {string} - The exposed name
+   */
+  addFixed(serverName, name, exposedName) {
+    if (!VALID_NAME.test(exposedName) || exposedName.length > MAX_NAME_LENGTH) {
+      throw new TypeError(`Invalid exposed tool name "${exposedName}"`);
+    }
+
+    const existing = this.#entries.get(exposedName);
+    if (existing && (existing.serverName !== serverName || existing.name !== name)) {
+      throw new Error(`Exposed tool name ${exposedName} is already taken by ${existing.serverName}`);
+    }
+
+    this.#entries.set(exposedName, { serverName, name });
+    this.#exposedNames.set(`${serverName}\u0000${name}`, exposedName);
+    return exposedName;
+  }
+
+  /**
+   * Look up the server and tool behind an exposed name
+   * @param {string} exposedName - The exposed name
+   * @returns {{serverName: string, name: string}|null} - The original tool, or null if unknown
+   */
+  resolve(exposedName) {
+    const entry = this.#entries.get(exposedName);
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * Get the exposed name of a registered tool
+   * @param {string} serverName - The server the tool belongs to
+   * @param {string} name - The tool's name on that server
+   * @returns {string|null} - The exposed name, or null if the tool is not registered
+   */
+  getExposedName(serverName, name) {
+    return this.#exposedNames.get(`${serverName}\u0000${name}`) || null;
+  }
+}
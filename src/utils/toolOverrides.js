@@ -0,0 +1,109 @@
+/**
+ * Tool Overrides - Rename, redescribe and trim upstream tools from config
+ *
+ * A server entry can carry a `tools` map keyed by the upstream tool name:
+ *
+ *   "tools": {
+ *     "create_issue": {
+ *       "name": "open_ticket",
+ *       "description": "Open a ticket in the team tracker",
+ *       "appendDescription": "Always set the label field.",
+ *       "hideProperties": ["assignee"]
+ *     }
+ *   }
+ */
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the tool overrides of a server entry
+ * @param {Object} [server] - The server configuration
+ * @returns {Object} - Overrides keyed by upstream tool name, empty if none are configured
+ */
+export function getToolOverrides(server) {
+  if (!isPlainObject(server?.tools)) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(server.tools).filter(([, override]) => isPlainObject(override))
+  );
+}
+
+/**
+ * Get the name a tool is exposed under after its override
+ * @param {Object} tool - The upstream tool
+ * @param {Object} [override] - The tool's override
+ * @returns {string} - The alias, or the tool's own name
+ */
+export function getToolAlias(tool, override) {
+  return typeof override?.name === 'string' && override.name.trim() ? override.name.trim() : tool.name;
+}
+
+/**
+ * Apply an override's description and hidden properties to a tool
+ * @param {Object} tool - The upstream tool
+ * @param {Object} [override] - The tool's override
+ * @returns {Object} - The tool as it should be listed
+ */
+export function applyToolOverride(tool, override) {
+  if (!override) {
+    return tool;
+  }
+
+  let description = typeof override.description === 'string' ? override.description : tool.description;
+  if (typeof override.appendDescription === 'string' && override.appendDescription) {
+    description = description ? `${description}\n\n${override.appendDescription}` : override.appendDescription;
+  }
+
+  const updated = { ...tool };
+  if (description !== undefined) {
+    updated.description = description;
+  }
+
+  const hidden = getHiddenProperties(override);
+  if (hidden.length > 0 && isPlainObject(tool.inputSchema?.properties)) {
+    const properties = { ...tool.inputSchema.properties };
+    hidden.forEach(property => delete properties[property]);
+
+    updated.inputSchema = { ...tool.inputSchema, properties };
+    if (Array.isArray(tool.inputSchema.required)) {
+      updated.inputSchema.required = tool.inputSchema.required.filter(property => !hidden.includes(property));
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Remove hidden properties from the arguments of a call
+ * @param {Object} [args] - The call arguments
+ * @param {Object} [override] - The tool's override
+ * @returns {Object|undefined} - The arguments to forward upstream
+ */
+export function stripHiddenArguments(args, override) {
+  const hidden = getHiddenProperties(override);
+  if (!isPlainObject(args) || hidden.length === 0) {
+    return args;
+  }
+
+  return Object.fromEntries(Object.entries(args).filter(([key]) => !hidden.includes(key)));
+}
+
+/**
+ * Get the input properties an override hides
+ * @param {Object} [override] - The tool's override
+ * @returns {string[]} - The hidden property names
+ */
+function getHiddenProperties(override) {
+  return Array.isArray(override?.hideProperties)
+    ? override.hideProperties.filter(property => typeof property === 'string')
+    : [];
+}
@@ -0,0 +1,109 @@
+import assert from 'node:assert';
+import { describe, it, before, after } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import {
+  REDACTED,
+  appendAuditEntry,
+  compileRedactionRules,
+  parseTime,
+  readAuditEntries,
+  redactArguments
+} from '../src/utils/audit.js';
+
+describe('Audit Log', () => {
+  const TEST_DIR = path.join(os.tmpdir(), 'mcpz-audit-test-' + Date.now());
+
+  after(() => {
+    if (fs.existsSync(TEST_DIR)) {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+
+  describe('redactArguments', () => {
+    const rules = compileRedactionRules();
+
+    it('should redact default sensitive argument names', () => {
+      const redacted = redactArguments({ query: 'cats', api_key: 'abc', accessToken: 'xyz', password: 'pw' }, rules);
+      assert.deepStrictEqual(redacted, { query: 'cats', api_key: REDACTED, accessToken: REDACTED, password: REDACTED });
+    });
+
+    it('should not redact names that only contain a sensitive word in the middle', () => {
+      const redacted = redactArguments({ maxTokensLimit: 10 }, rules);
+      assert.deepStrictEqual(redacted, { maxTokensLimit: 10 });
+    });
+
+    it('should redact nested objects and arrays', () => {
+      const redacted = redactArguments({ headers: [{ Authorization: 'Bearer x' }], nested: { secret: 1 } }, rules);
+      assert.deepStrictEqual(redacted, { headers: [{ Authorization: REDACTED }], nested: { secret: REDACTED } });
+    });
+
+    it('should apply configured names and patterns', () => {
+      const custom = compileRedactionRules({ redactKeys: ['ssn'], redactPatterns: ['sk-[a-z0-9]+'] });
+      const redacted = redactArguments({ ssn: '123', note: 'use sk-abc1 and sk-def2' }, custom);
+      assert.deepStrictEqual(redacted, { ssn: REDACTED, note: `use ${REDACTED} and ${REDACTED}` });
+    });
+
+    it('should skip invalid patterns', () => {
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        const custom = compileRedactionRules({ redactPatterns: ['(', 'ok'] });
+        assert.strictEqual(custom.patterns.length, 1);
+      } finally {
+        console.error = originalError;
+      }
+    });
+  });
+
+  describe('parseTime', () => {
+    it('should parse durations relative to now', () => {
+      const time = parseTime('2h');
+      const expected = Date.now() - 2 * 60 * 60 * 1000;
+      assert.ok(Math.abs(time.getTime() - expected) < 1000);
+    });
+
+    it('should parse dates and reject invalid values', () => {
+      assert.strictEqual(parseTime('2026-01-02').toISOString(), '2026-01-02T00:00:00.000Z');
+      assert.strictEqual(parseTime('soon'), null);
+      assert.strictEqual(parseTime(undefined), null);
+    });
+  });
+
+  describe('appendAuditEntry and readAuditEntries', () => {
+    before(() => {
+      const base = { session: 's1', arguments: {}, durationMs: 5, resultBytes: 10, isError: false };
+      appendAuditEntry({ ...base, timestamp: '2026-01-01T10:00:00.000Z', server: 'github', tool: 'search', name: 'github_search' }, TEST_DIR);
+      appendAuditEntry({ ...base, timestamp: '2026-01-02T10:00:00.000Z', server: 'github', tool: 'create_issue', name: 'github_create_issue', isError: true }, TEST_DIR);
+      appendAuditEntry({ ...base, timestamp: '2026-01-02T11:00:00.000Z', server: 'files', tool: 'read', name: 'files_read', session: 's2' }, TEST_DIR);
+    });
+
+    it('should write one file per day', () => {
+      assert.deepStrictEqual(fs.readdirSync(TEST_DIR).sort(), ['2026-01-01.jsonl', '2026-01-02.jsonl']);
+    });
+
+    it('should read every entry oldest first', () => {
+      const entries = readAuditEntries({}, TEST_DIR);
+      assert.deepStrictEqual(entries.map(entry => entry.tool), ['search', 'create_issue', 'read']);
+    });
+
+    it('should filter by server, tool, session and errors', () => {
+      assert.strictEqual(readAuditEntries({ server: 'github' }, TEST_DIR).length, 2);
+      assert.strictEqual(readAuditEntries({ tool: 'files_read' }, TEST_DIR).length, 1);
+      assert.strictEqual(readAuditEntries({ session: 's2' }, TEST_DIR).length, 1);
+      assert.deepStrictEqual(readAuditEntries({ errors: true }, TEST_DIR).map(entry => entry.tool), ['create_issue']);
+    });
+
+    it('should filter by time and keep the most recent entries', () => {
+      const since = new Date('2026-01-02T00:00:00.000Z');
+      assert.strictEqual(readAuditEntries({ since }, TEST_DIR).length, 2);
+      assert.deepStrictEqual(readAuditEntries({ limit: 1 }, TEST_DIR).map(entry => entry.tool), ['read']);
+    });
+
+    it('should return nothing for a missing directory', () => {
+      assert.deepStrictEqual(readAuditEntries({}, path.join(TEST_DIR, 'missing')), []);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { DEFAULT_SEARCH_LIMIT, getDiscoveryTools, searchTools } from '../src/utils/discovery.js';
+
+const tools = [
+  {
+    name: 'github_create_issue',
+    description: '[github] Create a new issue in a repository',
+    inputSchema: { type: 'object', properties: { title: { type: 'string', description: 'Issue title' } } }
+  },
+  { name: 'github_search_code', description: '[github] Search code across repositories' },
+  {
+    name: 'files_read_file',
+    description: '[files] Read a file from disk',
+    inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Absolute path' } } }
+  },
+  { name: 'slack_post_message', description: '[slack] Post a message to a channel' }
+];
+
+describe('Discovery', () => {
+  describe('getDiscoveryTools', () => {
+    it('should name the tools under the mcpz namespace', () => {
+      const { search, call } = getDiscoveryTools('_');
+
+      assert.strictEqual(search.name, 'mcpz_search_tools');
+      assert.strictEqual(call.name, 'mcpz_call_tool');
+      assert.match(search.description, /mcpz_call_tool/);
+      assert.deepStrictEqual(call.inputSchema.required, ['name']);
+    });
+
+    it('should use the configured separator', () => {
+      assert.strictEqual(getDiscoveryTools('__').call.name, 'mcpz__call_tool');
+    });
+  });
+
+  describe('searchTools', () => {
+    it('should match every word across name and description', () => {
+      assert.deepStrictEqual(searchTools(tools, 'create github issue').map(tool => tool.name), ['github_create_issue']);
+    });
+
+    it('should tolerate typos', () => {
+      assert.deepStrictEqual(searchTools(tools, 'mesage').map(tool => tool.name), ['slack_post_message']);
+    });
+
+    it('should search parameter names and descriptions', () => {
+      assert.deepStrictEqual(searchTools(tools, 'path').map(tool => tool.name), ['files_read_file']);
+    });
+
+    it('should return nothing when no tool matches', () => {
+      assert.deepStrictEqual(searchTools(tools, 'weather forecast'), []);
+    });
+
+    it('should return the first tools for an empty query, up to the limit', () => {
+      assert.strictEqual(searchTools(tools, '').length, Math.min(tools.length, DEFAULT_SEARCH_LIMIT));
+      assert.deepStrictEqual(searchTools(tools, '  ', 2).map(tool => tool.name), ['github_create_issue', 'github_search_code']);
+    });
+
+    it('should limit the number of results', () => {
+      assert.strictEqual(searchTools(tools, 'github', 1).length, 1);
+    });
+  });
+});
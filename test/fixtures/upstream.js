@@ -0,0 +1,27 @@
+/**
+ * A small upstream MCP server for the server tests
+ *
+ * `pid` returns the process ID, so tests can tell a restarted server apart,
+ * and `crash` exits the process just after answering.
+ */
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const server = new Server({ name: 'fixture', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  tools: [
+    { name: 'pid', description: 'Return the process ID', inputSchema: { type: 'object', properties: {} } },
+    { name: 'crash', description: 'Exit the process', inputSchema: { type: 'object', properties: {} } }
+  ]
+}));
+
+server.setRequestHandler(CallToolRequestSchema, async request => {
+  if (request.params.name === 'crash') {
+    setTimeout(() => process.exit(1), 10);
+  }
+  return { content: [{ type: 'text', text: String(process.pid) }] };
+});
+
+await server.connect(new StdioServerTransport());
@@ -0,0 +1,206 @@
+import assert from 'node:assert';
+import { describe, it, before, after } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+import {
+  buildInputSchema,
+  checkArguments,
+  listLocalTools,
+  removeLocalTool,
+  renderArgs,
+  runLocalTool,
+  saveLocalTool,
+  validateLocalTool
+} from '../src/utils/localTools.js';
+
+// Run node itself so the tests do not depend on shell utilities
+const nodeTool = (script, extra = {}) => ({
+  name: 'script',
+  command: process.execPath,
+  args: ['-e', script, '--', '{{value}}'],
+  ...extra
+});
+
+describe('Local Tools', () => {
+  describe('validateLocalTool', () => {
+    it('should accept a minimal definition', () => {
+      assert.deepStrictEqual(validateLocalTool({ name: 'git_log', command: 'git' }), []);
+    });
+
+    it('should report each problem', () => {
+      const errors = validateLocalTool({ name: '../escape', args: 'log', timeoutMs: -1 });
+
+      assert.strictEqual(errors.length, 4);
+      assert.match(errors.join(' '), /name must be/);
+      assert.match(errors.join(' '), /command is required/);
+    });
+  });
+
+  describe('renderArgs', () => {
+    it('should fill in placeholders inside arguments', () => {
+      assert.deepStrictEqual(
+        renderArgs(['log', '-n', '{{count}}', '--format={{ format }}'], { count: 5, format: 'oneline' }),
+        ['log', '-n', '5', '--format=oneline']
+      );
+    });
+
+    it('should drop missing whole-argument values and spread arrays', () => {
+      assert.deepStrictEqual(
+        renderArgs(['ls', '{{flags}}', '{{paths}}', 'x{{missing}}'], { paths: ['a', 'b c'] }),
+        ['ls', 'a', 'b c', 'x']
+      );
+    });
+
+    it('should pass objects as JSON', () => {
+      assert.deepStrictEqual(renderArgs(['{{data}}'], { data: { a: 1 } }), ['{"a":1}']);
+    });
+  });
+
+  describe('checkArguments', () => {
+    const gitLog = {
+      name: 'git_log',
+      command: 'git',
+      args: ['log', '-n', '{{count}}', '{{paths}}'],
+      inputSchema: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          format: { type: 'string', enum: ['oneline', 'short'] },
+          paths: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['count']
+      }
+    };
+
+    it('should accept arguments matching the schema', () => {
+      assert.deepStrictEqual(checkArguments(gitLog, { count: 5, format: 'short', paths: ['src'] }), []);
+    });
+
+    it('should report missing, mistyped and out-of-enum arguments', () => {
+      assert.deepStrictEqual(checkArguments(gitLog, { format: 'full', paths: ['src', 1] }), [
+        'count is required',
+        'format must be one of "oneline", "short"',
+        'paths items must be of type string'
+      ]);
+      assert.deepStrictEqual(checkArguments(gitLog, { count: '--output=/some/file' }), [
+        'count must be of type integer',
+        'count may not start with "-"'
+      ]);
+    });
+
+    it('should refuse values that start with a dash unless the tool allows them', () => {
+      const loose = { ...gitLog, inputSchema: undefined };
+
+      assert.deepStrictEqual(checkArguments(loose, { count: '--output=/some/file' }), ['count may not start with "-"']);
+      assert.deepStrictEqual(checkArguments(loose, { paths: ['src', '-p'] }), ['paths may not start with "-"']);
+      assert.deepStrictEqual(checkArguments({ ...loose, allowDashValues: true }, { count: -5 }), []);
+    });
+  });
+
+  describe('buildInputSchema', () => {
+    it('should build properties from specs and undeclared placeholders', () => {
+      assert.deepStrictEqual(buildInputSchema(['count:number:How many: at most 10', 'verbose?:boolean'], ['{{count}}', '{{path}}']), {
+        type: 'object',
+        properties: {
+          count: { type: 'number', description: 'How many: at most 10' },
+          verbose: { type: 'boolean' },
+          path: { type: 'string' }
+        },
+        required: ['count', 'path']
+      });
+    });
+
+    it('should leave out required when nothing is required', () => {
+      assert.deepStrictEqual(buildInputSchema([], ['status']), { type: 'object', properties: {} });
+    });
+  });
+
+  describe('runLocalTool', () => {
+    it('should return stdout and stderr as text', async () => {
+      const result = await runLocalTool(
+        nodeTool('console.log("out " + process.argv[1]); console.error("warn")'),
+        { value: 'a; echo b' }
+      );
+
+      assert.deepStrictEqual(result, {
+        content: [
+          { type: 'text', text: 'out a; echo b\n' },
+          { type: 'text', text: 'stderr:\nwarn\n' }
+        ]
+      });
+    });
+
+    it('should not run the command with invalid arguments', async () => {
+      const marker = path.join(os.tmpdir(), 'mcpz-local-tools-ran-' + Date.now());
+      const tool = nodeTool(`require('fs').writeFileSync(${JSON.stringify(marker)}, '')`);
+
+      const result = await runLocalTool(tool, { value: '--inspect' });
+
+      assert.deepStrictEqual(result, {
+        content: [{ type: 'text', text: 'Invalid arguments: value may not start with "-"' }],
+        isError: true
+      });
+      assert.strictEqual(fs.existsSync(marker), false);
+    });
+
+    it('should mark a non-zero exit code as an error', async () => {
+      const result = await runLocalTool(nodeTool('process.exit(3)'));
+
+      assert.strictEqual(result.isError, true);
+      assert.strictEqual(result.content.at(-1).text, 'Command exited with code 3');
+    });
+
+    it('should pass env and stop commands that time out', async () => {
+      const env = await runLocalTool(nodeTool('process.stdout.write(process.env.LOCAL_TOOL_TEST)', { env: { LOCAL_TOOL_TEST: 'set' } }));
+      assert.strictEqual(env.content[0].text, 'set');
+
+      const slow = await runLocalTool(nodeTool('setTimeout(() => {}, 5000)'), {}, { timeoutMs: 100 });
+      assert.strictEqual(slow.isError, true);
+      assert.strictEqual(slow.content.at(-1).text, 'Command timed out after 100ms');
+    });
+
+    it('should reject when the call is cancelled', async () => {
+      const controller = new AbortController();
+      const running = runLocalTool(nodeTool('setTimeout(() => {}, 5000)'), {}, { signal: controller.signal });
+      controller.abort(new Error('cancelled'));
+
+      await assert.rejects(running, /cancelled/);
+    });
+  });
+
+  describe('saveLocalTool, listLocalTools and removeLocalTool', () => {
+    const toolsDir = path.join(os.tmpdir(), 'mcpz-local-tools-test-' + Date.now());
+
+    before(() => {
+      fs.mkdirSync(toolsDir, { recursive: true });
+    });
+
+    after(() => {
+      fs.rmSync(toolsDir, { recursive: true, force: true });
+    });
+
+    it('should save, list and remove a tool', () => {
+      const tool = { name: 'git_status', command: 'git', args: ['status'] };
+
+      assert.strictEqual(saveLocalTool(tool, { toolsDir }).success, true);
+      assert.strictEqual(saveLocalTool(tool, { toolsDir }).success, false);
+      assert.strictEqual(saveLocalTool(tool, { toolsDir, force: true }).success, true);
+
+      assert.deepStrictEqual(listLocalTools(toolsDir).map(entry => entry.tool), [tool]);
+
+      assert.strictEqual(removeLocalTool('git_status', toolsDir).success, true);
+      assert.strictEqual(removeLocalTool('git_status', toolsDir).success, false);
+    });
+
+    it('should refuse invalid definitions and list broken files with their errors', () => {
+      assert.strictEqual(saveLocalTool({ name: 'no_command' }, { toolsDir }).success, false);
+
+      fs.writeFileSync(path.join(toolsDir, 'broken.json'), '{');
+      const [entry] = listLocalTools(toolsDir);
+      assert.strictEqual(entry.tool.name, 'broken');
+      assert.strictEqual(entry.errors.length, 1);
+    });
+  });
+});
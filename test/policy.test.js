@@ -0,0 +1,114 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import { PolicyEngine, globToRegExp } from '../src/utils/policy.js';
+
+describe('Policy Engine', () => {
+  describe('globToRegExp', () => {
+    it('should match wildcards and escape other characters', () => {
+      assert.ok(globToRegExp('read_*').test('read_file'));
+      assert.ok(globToRegExp('get?').test('gets'));
+      assert.ok(!globToRegExp('a.b').test('axb'));
+      assert.ok(!globToRegExp('read').test('read_file'));
+    });
+  });
+
+  describe('allow lists', () => {
+    it('should allow everything without allow rules', () => {
+      const policy = new PolicyEngine();
+      assert.deepStrictEqual(policy.evaluate({ name: 'github' }, { tool: 'search' }), { allowed: true });
+      assert.ok(policy.evaluate({ name: 'github', alwaysAllow: [] }, { tool: 'search' }).allowed);
+    });
+
+    it('should enforce alwaysAllow and autoApprove', () => {
+      const policy = new PolicyEngine();
+      const server = { name: 'github', alwaysAllow: ['search'], autoApprove: ['get_*'] };
+
+      assert.ok(policy.evaluate(server, { tool: 'search' }).allowed);
+      assert.ok(policy.evaluate(server, { tool: 'get_issue' }).allowed);
+
+      const decision = policy.evaluate(server, { tool: 'delete_repo' });
+      assert.strictEqual(decision.allowed, false);
+      assert.strictEqual(decision.reason, 'delete_repo is not in the allow list for github');
+    });
+
+    it('should treat a wildcard entry as allowing every tool', () => {
+      const policy = new PolicyEngine();
+      assert.ok(policy.evaluate({ name: 'github', alwaysAllow: ['*'] }, { tool: 'anything' }).allowed);
+    });
+
+    it('should apply top-level allow rules only to matching servers', () => {
+      const policy = new PolicyEngine({ allow: [{ server: 'git*', tool: 'search' }] });
+
+      assert.ok(policy.evaluate({ name: 'github' }, { tool: 'search' }).allowed);
+      assert.strictEqual(policy.evaluate({ name: 'github' }, { tool: 'push' }).allowed, false);
+      assert.ok(policy.evaluate({ name: 'files' }, { tool: 'push' }).allowed);
+    });
+
+    it('should match the exposed name as well as the upstream name', () => {
+      const policy = new PolicyEngine();
+      const server = { name: 'github', policy: { allow: ['github_search'] } };
+      assert.ok(policy.evaluate(server, { tool: 'search', name: 'github_search' }).allowed);
+    });
+  });
+
+  describe('deny rules', () => {
+    const root = path.join(os.tmpdir(), 'project');
+    const policy = new PolicyEngine({
+      deny: [{
+        tool: 'filesystem_write_file',
+        arguments: { path: { notWithinPath: root } },
+        reason: 'Writes are limited to the project'
+      }]
+    });
+    const server = { name: 'filesystem', alwaysAllow: ['*'] };
+
+    it('should block calls whose arguments match, even when allowed', () => {
+      const decision = policy.evaluate(server, {
+        tool: 'write_file',
+        name: 'filesystem_write_file',
+        arguments: { path: path.join(root, '..', 'etc', 'passwd') }
+      });
+      assert.deepStrictEqual(decision, { allowed: false, reason: 'Writes are limited to the project' });
+    });
+
+    it('should let calls through when the arguments do not match', () => {
+      const decision = policy.evaluate(server, {
+        tool: 'write_file',
+        name: 'filesystem_write_file',
+        arguments: { path: path.join(root, 'src', 'index.js') }
+      });
+      assert.ok(decision.allowed);
+    });
+
+    it('should support server-level deny rules and nested arguments', () => {
+      const engine = new PolicyEngine();
+      const withDeny = {
+        name: 'db',
+        policy: { deny: [{ tool: 'query', arguments: { 'options.mode': { oneOf: ['write', 'admin'] } } }] }
+      };
+
+      assert.strictEqual(engine.evaluate(withDeny, { tool: 'query', arguments: { options: { mode: 'admin' } } }).allowed, false);
+      assert.ok(engine.evaluate(withDeny, { tool: 'query', arguments: { options: { mode: 'read' } } }).allowed);
+      assert.ok(engine.evaluate(withDeny, { tool: 'query' }).allowed);
+    });
+
+    it('should compare plain values for equality and describe rules without a reason', () => {
+      const engine = new PolicyEngine({ deny: [{ tool: 'run', arguments: { force: true } }] });
+      const decision = engine.evaluate({ name: 'shell' }, { tool: 'run', arguments: { force: true } });
+
+      assert.strictEqual(decision.allowed, false);
+      assert.match(decision.reason, /^matched deny rule/);
+    });
+
+    it('should block calls when a rule uses an unknown matcher', () => {
+      const engine = new PolicyEngine({ deny: [{ tool: 'run', arguments: { cmd: { looksLike: 'rm' } } }] });
+      const decision = engine.evaluate({ name: 'shell' }, { tool: 'run', arguments: { cmd: 'ls' } });
+
+      assert.strictEqual(decision.allowed, false);
+      assert.match(decision.reason, /Unknown policy matcher "looksLike"/);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { RateLimiter, hasRateLimit } from '../src/utils/rateLimiter.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Rate Limiter', () => {
+  describe('hasRateLimit', () => {
+    it('should detect a rate or concurrency limit', () => {
+      assert.strictEqual(hasRateLimit({ requestsPerMinute: 10 }), true);
+      assert.strictEqual(hasRateLimit({ maxConcurrent: 1 }), true);
+      assert.strictEqual(hasRateLimit({ maxQueue: 5 }), false);
+      assert.strictEqual(hasRateLimit({ requestsPerMinute: 0 }), false);
+      assert.strictEqual(hasRateLimit(undefined), false);
+    });
+  });
+
+  describe('token bucket', () => {
+    it('should allow a burst and then reject with a retry hint', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 2 });
+
+      assert.strictEqual(typeof await limiter.acquire(), 'function');
+      assert.strictEqual(typeof await limiter.acquire(), 'function');
+      assert.strictEqual(await limiter.acquire(), null);
+
+      const retryAfterMs = limiter.getRetryAfterMs();
+      assert.ok(retryAfterMs > 0 && retryAfterMs <= 1000, `unexpected retry hint ${retryAfterMs}`);
+    });
+
+    it('should queue calls until a token is due', async () => {
+      // 6000 per minute is one token every 10ms
+      const limiter = new RateLimiter({ requestsPerMinute: 6000, burst: 1, maxQueue: 2 });
+
+      await limiter.acquire();
+      const started = Date.now();
+      const second = limiter.acquire();
+      const third = limiter.acquire();
+
+      assert.strictEqual(limiter.queued, 2);
+      assert.strictEqual(await limiter.acquire(), null);
+
+      await second;
+      await third;
+      assert.strictEqual(limiter.queued, 0);
+      assert.ok(Date.now() - started >= 15);
+    });
+  });
+
+  describe('concurrency cap', () => {
+    it('should start queued calls as others finish', async () => {
+      const changes = [];
+      const limiter = new RateLimiter({ maxConcurrent: 1, maxQueue: 1 }, () => changes.push(limiter.queued));
+
+      const release = await limiter.acquire();
+      let started = false;
+      const next = limiter.acquire().then(done => {
+        started = true;
+        return done;
+      });
+
+      await sleep(5);
+      assert.strictEqual(started, false);
+      assert.strictEqual(limiter.active, 1);
+      assert.strictEqual(await limiter.acquire(), null);
+      assert.strictEqual(limiter.getRetryAfterMs(), 1000);
+
+      release();
+      release();
+      (await next)();
+
+      assert.strictEqual(started, true);
+      assert.strictEqual(limiter.active, 0);
+      assert.ok(changes.includes(1));
+    });
+
+    it('should drop a queued call when its signal aborts', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1, maxQueue: 1 });
+      const release = await limiter.acquire();
+      const controller = new AbortController();
+
+      const waiting = limiter.acquire(controller.signal);
+      controller.abort(new Error('cancelled'));
+
+      await assert.rejects(waiting, /cancelled/);
+      assert.strictEqual(limiter.queued, 0);
+      release();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { getCrashAttempt, getRestartDelay, getRestartMessage, isBudgetSpent } from '../src/utils/restartPolicy.js';
+
+describe('Restart Policy', () => {
+  describe('getRestartDelay', () => {
+    it('should double the delay with every attempt', () => {
+      assert.deepStrictEqual([1, 2, 3, 4].map(attempt => getRestartDelay(1000, attempt, 30000)), [1000, 2000, 4000, 8000]);
+    });
+
+    it('should not go past the longest delay', () => {
+      assert.strictEqual(getRestartDelay(1000, 6, 30000), 30000);
+      assert.strictEqual(getRestartDelay(1000, 50, 30000), 30000);
+    });
+
+    it('should restart straight away with no base delay', () => {
+      assert.strictEqual(getRestartDelay(0, 3, 30000), 0);
+    });
+  });
+
+  describe('getCrashAttempt', () => {
+    it('should start at the first attempt', () => {
+      assert.strictEqual(getCrashAttempt(undefined, 10, 60000), 1);
+    });
+
+    it('should count crashes in quick succession', () => {
+      assert.strictEqual(getCrashAttempt({ attempts: 2 }, 5000, 60000), 3);
+    });
+
+    it('should give the budget back once the server stayed up long enough', () => {
+      assert.strictEqual(getCrashAttempt({ attempts: 4 }, 60000, 60000), 1);
+      assert.strictEqual(getCrashAttempt({ attempts: 4 }, 120000, 60000), 1);
+    });
+  });
+
+  describe('isBudgetSpent', () => {
+    it('should allow attempts up to the budget', () => {
+      assert.strictEqual(isBudgetSpent(5, 5), false);
+      assert.strictEqual(isBudgetSpent(6, 5), true);
+    });
+
+    it('should never restart with no budget', () => {
+      assert.strictEqual(isBudgetSpent(1, 0), true);
+    });
+  });
+
+  describe('getRestartMessage', () => {
+    it('should return null when the server is not being restarted', () => {
+      assert.strictEqual(getRestartMessage('github', undefined), null);
+      assert.strictEqual(getRestartMessage('github', { attempts: 1, running: true }), null);
+    });
+
+    it('should say when the next attempt is due', () => {
+      assert.strictEqual(
+        getRestartMessage('github', { attempts: 2, retryAt: 11500 }, 10000),
+        'Server github is restarting (attempt 2), try again in 2s'
+      );
+      assert.strictEqual(
+        getRestartMessage('github', { attempts: 2 }, 10000),
+        'Server github is restarting (attempt 2), try again shortly'
+      );
+    });
+
+    it('should say when the server was given up on', () => {
+      assert.strictEqual(
+        getRestartMessage('github', { attempts: 5, failed: true }),
+        'Server github crashed and was not restarted after 5 attempts'
+      );
+    });
+  });
+});
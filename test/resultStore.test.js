@@ -0,0 +1,137 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+
+import {
+  ResultStore,
+  getResultSize,
+  parseResultUri,
+  resultToText,
+  splitBytes,
+  truncateContent
+} from '../src/utils/resultStore.js';
+
+describe('Result Store', () => {
+  describe('getResultSize and resultToText', () => {
+    it('should measure text in bytes and other content as JSON', () => {
+      const image = { type: 'image', data: 'abc', mimeType: 'image/png' };
+      const result = { content: [{ type: 'text', text: 'héllo' }, image] };
+
+      assert.strictEqual(getResultSize(result), 6 + JSON.stringify(image).length);
+      assert.strictEqual(resultToText(result), `héllo\n\n${JSON.stringify(image)}`);
+      assert.strictEqual(getResultSize({}), 0);
+    });
+  });
+
+  describe('truncateContent', () => {
+    it('should keep whole items that fit and cut the next text item short', () => {
+      const content = [
+        { type: 'text', text: 'aaaa' },
+        { type: 'text', text: 'bbbbbbbb' },
+        { type: 'text', text: 'cc' }
+      ];
+
+      assert.deepStrictEqual(truncateContent(content, 7), [
+        { type: 'text', text: 'aaaa' },
+        { type: 'text', text: 'bbb' }
+      ]);
+    });
+
+    it('should not split multi-byte characters', () => {
+      assert.deepStrictEqual(truncateContent([{ type: 'text', text: 'ééé' }], 3), [{ type: 'text', text: 'é' }]);
+    });
+
+    it('should drop non-text items that do not fit', () => {
+      const content = [{ type: 'image', data: 'x'.repeat(100), mimeType: 'image/png' }];
+      assert.deepStrictEqual(truncateContent(content, 10), []);
+    });
+  });
+
+  describe('splitBytes', () => {
+    it('should keep every page within the byte limit without splitting characters', () => {
+      const pages = splitBytes('aéé€€x', 4);
+
+      assert.deepStrictEqual(pages, ['aé', 'é', '€', '€x']);
+      assert.ok(pages.every(page => Buffer.byteLength(page) <= 4));
+      assert.strictEqual(pages.join(''), 'aéé€€x');
+    });
+
+    it('should give a character larger than a page its own page', () => {
+      assert.deepStrictEqual(splitBytes('€a', 2), ['€', 'a']);
+      assert.deepStrictEqual(splitBytes('', 10), ['']);
+    });
+  });
+
+  describe('parseResultUri', () => {
+    it('should read the ID and page', () => {
+      assert.deepStrictEqual(parseResultUri('mcpz://results/ab12'), { id: 'ab12', page: 1 });
+      assert.deepStrictEqual(parseResultUri('mcpz://results/ab12?page=3'), { id: 'ab12', page: 3 });
+      assert.strictEqual(parseResultUri('mcpz://servers/a/b'), null);
+      assert.strictEqual(parseResultUri('mcpz://results/ab12?page=x'), null);
+    });
+  });
+
+  describe('ResultStore', () => {
+    it('should page through a stored result', () => {
+      const store = new ResultStore();
+      const stored = store.add('abcdefghij', { pageSize: 4, tool: 'files_read' });
+
+      assert.strictEqual(stored.pages, 3);
+      assert.strictEqual(stored.size, 10);
+      assert.deepStrictEqual(store.read(stored.uri), { text: 'abcd', page: 1, pages: 3 });
+      assert.deepStrictEqual(store.read(`${stored.uri}?page=3`), { text: 'ij', page: 3, pages: 3 });
+      assert.strictEqual(store.read(`${stored.uri}?page=4`), null);
+      assert.strictEqual(store.read('mcpz://results/0000'), null);
+    });
+
+    it('should page multi-byte text by bytes', () => {
+      const store = new ResultStore();
+      const stored = store.add('€'.repeat(10), { pageSize: 9 });
+
+      assert.strictEqual(stored.pages, 4);
+      assert.strictEqual(stored.size, 30);
+      assert.deepStrictEqual(store.read(stored.uri), { text: '€€€', page: 1, pages: 4 });
+      assert.strictEqual(store.read(`${stored.uri}?page=4`).text, '€');
+    });
+
+    it('should list stored results without their text', () => {
+      const store = new ResultStore();
+      const stored = store.add('abc', { pageSize: 10, tool: 'files_read' });
+
+      const [entry] = store.list();
+      assert.strictEqual(entry.uri, stored.uri);
+      assert.strictEqual(entry.tool, 'files_read');
+      assert.strictEqual(entry.text, undefined);
+    });
+
+    it('should only list and read results for the session that stored them', () => {
+      const store = new ResultStore();
+      const stored = store.add('abc', { pageSize: 10, session: 'session-a' });
+
+      assert.strictEqual(store.read(stored.uri, 'session-a').text, 'abc');
+      assert.strictEqual(store.read(stored.uri, 'session-b'), null);
+      assert.strictEqual(store.read(stored.uri), null);
+      assert.strictEqual(store.list('session-a').length, 1);
+      assert.deepStrictEqual(store.list('session-b'), []);
+    });
+
+    it('should drop expired results', async () => {
+      const store = new ResultStore({ ttlMs: 5 });
+      const stored = store.add('abc', { pageSize: 10 });
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.strictEqual(store.read(stored.uri), null);
+      assert.deepStrictEqual(store.list(), []);
+    });
+
+    it('should drop the oldest results when over the size limit', () => {
+      const store = new ResultStore({ maxBytes: 10 });
+      const first = store.add('a'.repeat(6), { pageSize: 10 });
+      const second = store.add('b'.repeat(6), { pageSize: 10 });
+      const large = store.add('c'.repeat(20), { pageSize: 10 });
+
+      assert.strictEqual(store.read(first.uri), null);
+      assert.strictEqual(store.read(second.uri), null);
+      assert.strictEqual(store.read(large.uri).text, 'c'.repeat(10));
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import assert from 'node:assert';
+import { describe, it, before, after } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/upstream.js', import.meta.url));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs mcpz in this process against real upstream processes, with the client connected in memory
+describe('Server', () => {
+  const TEST_HOME = path.join(os.tmpdir(), 'mcpz-server-test-' + Date.now());
+  const originalHome = process.env.HOME;
+  let server;
+  let client;
+
+  const callText = async (name) => {
+    const result = await client.callTool({ name, arguments: {} });
+    return result.content[0].text;
+  };
+
+  const getState = async (name) => {
+    const servers = JSON.parse(await callText('mcpz_list_servers'));
+    return servers.find(entry => entry.name === name).state;
+  };
+
+  const waitForState = async (name, state) => {
+    for (let i = 0; i < 100; i++) {
+      if (await getState(name) === state) {
+        return;
+      }
+      await sleep(50);
+    }
+    assert.fail(`${name} never became ${state}, it is ${await getState(name)}`);
+  };
+
+  before(async () => {
+    fs.mkdirSync(path.join(TEST_HOME, '.mcpz'), { recursive: true });
+    fs.writeFileSync(path.join(TEST_HOME, '.mcpz', 'config.json'), JSON.stringify({
+      servers: [
+        { name: 'lazy', command: process.execPath, args: [FIXTURE], enabled: true, lazy: true, idleTimeoutMs: 300 },
+        { name: 'crashy', command: process.execPath, args: [FIXTURE], enabled: true, maxRestarts: 1, restartDelayMs: 50 }
+      ],
+      toolNameSeparator: '__',
+      audit: { enabled: false }
+    }));
+
+    // The server keeps its files under the home directory it sees when first loaded
+    process.env.HOME = TEST_HOME;
+    ({ default: server } = await import('../src/server.js'));
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'server-test', version: '1.0.0' });
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+  });
+
+  after(async () => {
+    await client.close();
+    await server.close();
+    process.env.HOME = originalHome;
+    fs.rmSync(TEST_HOME, { recursive: true, force: true });
+  });
+
+  describe('built-in tools', () => {
+    it('should keep their names whatever the separator', async () => {
+      const { tools } = await client.listTools();
+
+      assert.ok(tools.some(tool => tool.name === 'mcpz_list_servers'));
+      assert.ok(!tools.some(tool => tool.name === 'mcpz__list_servers'));
+    });
+
+    it('should refuse an enabled value that is not a boolean', async () => {
+      const result = await client.callTool({ name: 'mcpz_enable_server', arguments: { server: 'lazy', enabled: 'false' } });
+
+      assert.strictEqual(result.isError, true);
+      assert.strictEqual(result.content[0].text, 'Error executing tool: enabled must be true or false');
+      const config = JSON.parse(fs.readFileSync(path.join(TEST_HOME, '.mcpz', 'config.json'), 'utf8'));
+      assert.strictEqual(config.servers.find(entry => entry.name === 'lazy').enabled, true);
+    });
+  });
+
+  describe('lazy servers', () => {
+    it('should shut down when idle and start again on the next call', async () => {
+      const { tools } = await client.listTools();
+      assert.ok(tools.some(tool => tool.name === 'lazy__pid'));
+
+      // Started once to build its manifest, then shut down after idleTimeoutMs
+      await waitForState('lazy', 'idle');
+
+      const firstPid = await callText('lazy__pid');
+      assert.strictEqual(await getState('lazy'), 'connected');
+
+      await waitForState('lazy', 'idle');
+      const secondPid = await callText('lazy__pid');
+      assert.notStrictEqual(secondPid, firstPid);
+    });
+  });
+
+  describe('crashed servers', () => {
+    it('should be restarted, and given up on once the restart budget is spent', async () => {
+      const firstPid = await callText('crashy__pid');
+
+      await callText('crashy__crash');
+      await waitForState('crashy', 'restarting');
+      await waitForState('crashy', 'connected');
+
+      const restartedPid = await callText('crashy__pid');
+      assert.notStrictEqual(restartedPid, firstPid);
+
+      // A second crash in quick succession is past maxRestarts
+      await callText('crashy__crash');
+      await waitForState('crashy', 'failed');
+
+      await assert.rejects(
+        client.callTool({ name: 'crashy__pid', arguments: {} }),
+        /Server crashy crashed and was not restarted after 1 attempts/
+      );
+      const { tools } = await client.listTools();
+      assert.ok(!tools.some(tool => tool.name.startsWith('crashy__')));
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+
+import {
+  ToolNamespace,
+  MAX_NAME_LENGTH,
+  isValidSeparator,
+  sanitizeName
+} from '../src/utils/toolNamespace.js';
+
+const VALID_TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+describe('ToolNamespace', () => {
+  describe('sanitizeName', () => {
+    it('should replace characters outside [a-zA-Z0-9_-]', () => {
+      assert.strictEqual(sanitizeName('my server.v2'), 'my_server_v2');
+      assert.strictEqual(sanitizeName('ok-name_1'), 'ok-name_1');
+    });
+  });
+
+  describe('isValidSeparator', () => {
+    it('should accept short separators made of name characters', () => {
+      assert.strictEqual(isValidSeparator('_'), true);
+      assert.strictEqual(isValidSeparator('__'), true);
+      assert.strictEqual(isValidSeparator('-'), true);
+    });
+
+    it('should reject empty, long or invalid separators', () => {
+      assert.strictEqual(isValidSeparator(''), false);
+      assert.strictEqual(isValidSeparator('.'), false);
+      assert.strictEqual(isValidSeparator('/'), false);
+      assert.strictEqual(isValidSeparator('_________'), false);
+      assert.strictEqual(isValidSeparator(undefined), false);
+    });
+  });
+
+  describe('add and resolve', () => {
+    it('should join server and tool names with the separator', () => {
+      const namespace = new ToolNamespace();
+      assert.strictEqual(namespace.add('github', 'create_issue'), 'github_create_issue');
+    });
+
+    it('should route server names containing underscores', () => {
+      const namespace = new ToolNamespace();
+      const name = namespace.add('my_server', 'do_thing');
+
+      assert.deepStrictEqual(namespace.resolve(name), { serverName: 'my_server', name: 'do_thing' });
+    });
+
+    it('should use a configured separator', () => {
+      const namespace = new ToolNamespace({ separator: '__' });
+      const name = namespace.add('files', 'read');
+
+      assert.strictEqual(name, 'files__read');
+      assert.deepStrictEqual(namespace.resolve(name), { serverName: 'files', name: 'read' });
+    });
+
+    it('should throw on an invalid separator', () => {
+      assert.throws(() => new ToolNamespace({ separator: '.' }), TypeError);
+    });
+
+    it('should clean server names with spaces', () => {
+      const namespace = new ToolNamespace();
+      const name = namespace.add('My Server', 'search');
+
+      assert.strictEqual(name, 'My_Server_search');
+      assert.deepStrictEqual(namespace.resolve(name), { serverName: 'My Server', name: 'search' });
+    });
+
+    it('should build the exposed name from an alias but resolve to the original', () => {
+      const namespace = new ToolNamespace();
+      const name = namespace.add('github', 'create_issue', 'open_ticket');
+
+      assert.strictEqual(name, 'github_open_ticket');
+      assert.deepStrictEqual(namespace.resolve(name), { serverName: 'github', name: 'create_issue' });
+      assert.strictEqual(namespace.getExposedName('github', 'create_issue'), name);
+    });
+
+    it('should return null for unknown names', () => {
+      const namespace = new ToolNamespace();
+      assert.strictEqual(namespace.resolve('nope_tool'), null);
+    });
+
+    it('should return the same name when a tool is added twice', () => {
+      const namespace = new ToolNamespace();
+      assert.strictEqual(namespace.add('a', 'b'), namespace.add('a', 'b'));
+      assert.strictEqual(namespace.size, 1);
+      assert.strictEqual(namespace.getExposedName('a', 'b'), 'a_b');
+    });
+  });
+
+  describe('addFixed', () => {
+    it('should keep the exact name whatever the separator', () => {
+      const namespace = new ToolNamespace({ separator: '__' });
+      const name = namespace.addFixed('mcpz', 'list_servers', 'mcpz_list_servers');
+
+      assert.strictEqual(name, 'mcpz_list_servers');
+      assert.deepStrictEqual(namespace.resolve(name), { serverName: 'mcpz', name: 'list_servers' });
+      assert.strictEqual(namespace.getExposedName('mcpz', 'list_servers'), name);
+    });
+
+    it('should rename later tools that clash with a fixed name', () => {
+      const namespace = new ToolNamespace();
+      namespace.addFixed('mcpz', 'list_servers', 'mcpz_list_servers');
+      const renamed = namespace.add('mcpz', 'list_servers_upstream', 'list_servers');
+
+      assert.notStrictEqual(renamed, 'mcpz_list_servers');
+      assert.strictEqual(namespace.resolve('mcpz_list_servers').name, 'list_servers');
+    });
+
+    it('should refuse invalid or taken names', () => {
+      const namespace = new ToolNamespace();
+      namespace.add('files', 'read');
+
+      assert.throws(() => namespace.addFixed('mcpz', 'x', 'mcpz.x'), TypeError);
+      assert.throws(() => namespace.addFixed('mcpz', 'read', 'files_read'), /already taken by files/);
+    });
+  });
+
+  describe('long names', () => {
+    it('should shorten names deterministically to the length limit', () => {
+      const serverName = 'a-very-long-server-name-for-testing';
+      const toolName = 'an_even_longer_tool_name_that_goes_past_the_limit';
+
+      const first = new ToolNamespace().add(serverName, toolName);
+      const second = new ToolNamespace().add(serverName, toolName);
+
+      assert.strictEqual(first, second);
+      assert.strictEqual(first.length, MAX_NAME_LENGTH);
+      assert.match(first, VALID_TOOL_NAME);
+    });
+
+    it('should keep distinct long names apart', () => {
+      const namespace = new ToolNamespace();
+      const prefix = 'x'.repeat(70);
+
+      const first = namespace.add('server', `${prefix}_one`);
+      const second = namespace.add('server', `${prefix}_two`);
+
+      assert.notStrictEqual(first, second);
+      assert.strictEqual(namespace.resolve(second).name, `${prefix}_two`);
+      assert.deepStrictEqual(namespace.collisions, []);
+    });
+  });
+
+  describe('collisions', () => {
+    it('should keep the first name and rename the later one', () => {
+      const namespace = new ToolNamespace();
+
+      const first = namespace.add('my server', 'run');
+      const second = namespace.add('my_server', 'run');
+
+      assert.strictEqual(first, 'my_server_run');
+      assert.notStrictEqual(second, first);
+      assert.match(second, VALID_TOOL_NAME);
+      assert.deepStrictEqual(namespace.resolve(first), { serverName: 'my server', name: 'run' });
+      assert.deepStrictEqual(namespace.resolve(second), { serverName: 'my_server', name: 'run' });
+    });
+
+    it('should report collisions', () => {
+      const namespace = new ToolNamespace();
+      namespace.add('a_b', 'c');
+      const renamed = namespace.add('a', 'b_c');
+
+      assert.deepStrictEqual(namespace.collisions, [{
+        name: 'a_b_c',
+        existing: { serverName: 'a_b', name: 'c' },
+        renamed: { serverName: 'a', name: 'b_c', exposedName: renamed }
+      }]);
+    });
+
+    it('should rename the same way for the same registration order', () => {
+      const build = () => {
+        const namespace = new ToolNamespace();
+        namespace.add('a_b', 'c');
+        return namespace.add('a', 'b_c');
+      };
+
+      assert.strictEqual(build(), build());
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+
+import {
+  applyToolOverride,
+  getToolAlias,
+  getToolOverrides,
+  stripHiddenArguments
+} from '../src/utils/toolOverrides.js';
+
+const tool = {
+  name: 'create_issue',
+  description: 'Create an issue',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      assignee: { type: 'string' }
+    },
+    required: ['title', 'assignee']
+  }
+};
+
+describe('Tool Overrides', () => {
+  describe('getToolOverrides', () => {
+    it('should return the overrides of a server entry', () => {
+      const overrides = getToolOverrides({ tools: { create_issue: { name: 'open_ticket' } } });
+      assert.deepStrictEqual(overrides, { create_issue: { name: 'open_ticket' } });
+    });
+
+    it('should ignore missing or malformed overrides', () => {
+      assert.deepStrictEqual(getToolOverrides(undefined), {});
+      assert.deepStrictEqual(getToolOverrides({ tools: ['a'] }), {});
+      assert.deepStrictEqual(getToolOverrides({ tools: { a: 'b', c: {} } }), { c: {} });
+    });
+  });
+
+  describe('getToolAlias', () => {
+    it('should use the override name when set', () => {
+      assert.strictEqual(getToolAlias(tool, { name: 'open_ticket' }), 'open_ticket');
+    });
+
+    it('should fall back to the tool name', () => {
+      assert.strictEqual(getToolAlias(tool, undefined), 'create_issue');
+      assert.strictEqual(getToolAlias(tool, { name: '  ' }), 'create_issue');
+    });
+  });
+
+  describe('applyToolOverride', () => {
+    it('should return the tool unchanged without an override', () => {
+      assert.strictEqual(applyToolOverride(tool, undefined), tool);
+    });
+
+    it('should replace the description', () => {
+      const updated = applyToolOverride(tool, { description: 'Open a ticket' });
+      assert.strictEqual(updated.description, 'Open a ticket');
+    });
+
+    it('should append to the description', () => {
+      const updated = applyToolOverride(tool, { appendDescription: 'Always set a title.' });
+      assert.strictEqual(updated.description, 'Create an issue\n\nAlways set a title.');
+    });
+
+    it('should hide properties from the schema and its required list', () => {
+      const updated = applyToolOverride(tool, { hideProperties: ['assignee'] });
+
+      assert.deepStrictEqual(Object.keys(updated.inputSchema.properties), ['title']);
+      assert.deepStrictEqual(updated.inputSchema.required, ['title']);
+      assert.deepStrictEqual(Object.keys(tool.inputSchema.properties), ['title', 'assignee']);
+    });
+  });
+
+  describe('stripHiddenArguments', () => {
+    it('should drop hidden arguments', () => {
+      const args = stripHiddenArguments({ title: 'Bug', assignee: 'someone' }, { hideProperties: ['assignee'] });
+      assert.deepStrictEqual(args, { title: 'Bug' });
+    });
+
+    it('should pass arguments through without hidden properties', () => {
+      const args = { title: 'Bug' };
+      assert.strictEqual(stripHiddenArguments(args, undefined), args);
+      assert.strictEqual(stripHiddenArguments(undefined, { hideProperties: ['a'] }), undefined);
+    });
+  });
+});